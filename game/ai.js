@@ -1,244 +1,221 @@
-let currentTurn = "player";
-let aiMode = null;
-let aiThinking = false;
-
-function playerCanMove() {
-    return currentTurn === "player" && !aiThinking;
-}
-
-function updateAIButtonStyles() {
-    const buttons = {
-        easy: document.getElementById("ai-easy"),
-        medium: document.getElementById("ai-medium"),
-        hard: document.getElementById("ai-hard")
-    };
-    Object.values(buttons).forEach(btn => {
-        if (btn) {
-            btn.style.backgroundColor = "";
-            btn.style.color = "";
-            btn.style.fontWeight = "";
-            btn.style.border = "";
-            btn.style.boxShadow = "";
-        }
-    });
-    if (aiMode && buttons[aiMode]) {
-        const selectedBtn = buttons[aiMode];
-        switch (aiMode) {
-            case "easy":
-                selectedBtn.style.backgroundColor = "#4CAF50";
-                selectedBtn.style.color = "white";
-                break;
-            case "medium":
-                selectedBtn.style.backgroundColor = "#FF9800";
-                selectedBtn.style.color = "white";
-                break;
-            case "hard":
-                selectedBtn.style.backgroundColor = "#F44336";
-                selectedBtn.style.color = "white";
-                break;
-        }
-        selectedBtn.style.fontWeight = "bold";
-        selectedBtn.style.border = "3px solid #333";
-        selectedBtn.style.boxShadow = "0 0 10px rgba(0,0,0,0.3)";
-    }
-}
-
-function setBoardThinking(isThinking) {
-    const grid = document.getElementById("minesweeper-grid");
-    if (!grid) return;
-
-    if (isThinking) {
-        grid.style.opacity = "0.5";
-        grid.style.pointerEvents = "none";
-        grid.style.filter = "grayscale(70%)";
-
-        let overlay = document.getElementById("ai-thinking-overlay");
-        if (!overlay) {
-            overlay = document.createElement("div");
-            overlay.id = "ai-thinking-overlay";
-            overlay.style.cssText = `
-                position: absolute;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(0,0,0,0.8);
-                color: white;
-                padding: 15px 25px;
-                border-radius: 10px;
-                font-size: 16px;
-                font-weight: bold;
-                z-index: 1000;
-                pointer-events: none;
-                border: 2px solid #fff;
-                box-shadow: 0 0 20px rgba(0,0,0,0.5);
-            `;
-            const gridContainer = grid.parentElement;
-            gridContainer.style.position = "relative";
-            gridContainer.appendChild(overlay);
-        }
-        overlay.textContent = `AI (${aiMode.toUpperCase()}) is thinking...`;
-        overlay.style.display = "block";
-    } else {
-        grid.style.opacity = "1";
-        grid.style.pointerEvents = "auto";
-        grid.style.filter = "none";
-        const overlay = document.getElementById("ai-thinking-overlay");
-        if (overlay) {
-            overlay.style.display = "none";
-        }
-    }
-}
-
-function getAvailableCells() {
-    const grid = document.getElementById("minesweeper-grid");
-    const availableCells = [];
-    const buttons = grid.querySelectorAll("button:not(:disabled)");
-    buttons.forEach(btn => {
-        if (btn.textContent === "⬛") {
-            const matches = btn.id.match(/cell-(\d+)-(\d+)/);
-            if (matches) {
-                availableCells.push({
-                    x: parseInt(matches[1]),
-                    y: parseInt(matches[2]),
-                    element: btn
-                });
-            }
-        }
-    });
-    return availableCells;
-}
-
-function selectEasyCell(availableCells) {
-    //return a random cell bomb or not
-    if (availableCells.length === 0) return null;
-    return availableCells[Math.floor(Math.random() * availableCells.length)];
-}
-
-function selectMediumCell(availableCells) {
-    // TODO: replace with the random logic with medium logic 
-    if (availableCells.length === 0) return null;
-    return availableCells[Math.floor(Math.random() * availableCells.length)];
-}
-
-function selectHardCell(availableCells) {
-    // TODO: select a non bomb from the game state, never pick a bomb. 
-    if (availableCells.length === 0) return null;
-    return availableCells[Math.floor(Math.random() * availableCells.length)];
-}
-
-function endPlayerTurn() {
-    if (!aiMode) return;
-    if (currentTurn !== "player") return;
-    currentTurn = "ai";
-    aiMove();
-}
-
-function aiMove() {
-    if (!aiMode || currentTurn !== "ai") return;
-    aiThinking = true;
-    setBoardThinking(true);
-    const delays = { easy: 500, medium: 600, hard: 700 };
-    const delay = delays[aiMode];
-    setStatus(`AI (${aiMode.toUpperCase()}) is thinking...`, "playing");
-    setTimeout(() => {
-        aiThinking = false;
-        setBoardThinking(false);
-        makeAIMove();
-        setTimeout(() => {
-            currentTurn = "player";
-            setStatus("Your turn!", "playing");
-        }, 500);
-
-    }, delay);
-}
-
-function makeAIMove() {
-    clearPreviousAIHighlight();
-    const availableCells = getAvailableCells();
-    let selectedCell = null;
-    switch (aiMode) {
-        case "easy":
-            selectedCell = selectEasyCell(availableCells);
-            break;
-        case "medium":
-            selectedCell = selectMediumCell(availableCells);
-            break;
-        case "hard":
-            selectedCell = selectHardCell(availableCells);
-            break;
-    }
-
-    if (selectedCell) {
-        selectedCell.element.style.backgroundColor = "#ff6b6b";
-        selectedCell.element.style.border = "3px solid #ff1744";
-        selectedCell.element.style.transform = "scale(1.1)";
-        selectedCell.element.setAttribute('data-ai-selected', 'true');
-        setTimeout(() => {
-            selectedCell.element.click();
-        }, 500);
-    }
-}
-
-function clearPreviousAIHighlight() {
-    const previousAICells = document.querySelectorAll('[data-ai-selected="true"]');
-    previousAICells.forEach(btn => {
-        btn.style.backgroundColor = "";
-        btn.style.border = "";
-        btn.style.transform = "";
-        btn.removeAttribute('data-ai-selected');
-    });
-}
-
-function startAIEasy() {
-    aiMode = "easy";
-    updateAIButtonStyles();
-    setStatus("AI Easy mode selected", "playing");
-}
-
-function startAIMedium() {
-    aiMode = "medium";
-    updateAIButtonStyles();
-    setStatus("AI Medium mode selected", "playing");
-}
-
-function startAIHard() {
-    aiMode = "hard";
-    updateAIButtonStyles();
-    setStatus("AI Hard mode selected", "playing");
-}
-
-document.addEventListener("DOMContentLoaded", function () {
-    const buttons = [
-        { id: "ai-easy", fn: startAIEasy },
-        { id: "ai-medium", fn: startAIMedium },
-        { id: "ai-hard", fn: startAIHard }
-    ];
-    buttons.forEach(({ id, fn }) => {
-        const btn = document.getElementById(id);
-        btn.addEventListener("click", fn);
-    });
-});
-
-setTimeout(() => {
-    const buttons = [
-        { id: "ai-easy", fn: startAIEasy },
-        { id: "ai-medium", fn: startAIMedium },
-        { id: "ai-hard", fn: startAIHard }
-    ];
-
-    buttons.forEach(({ id, fn }) => {
-        const btn = document.getElementById(id);
-        if (!btn.hasAttribute('data-ai-connected')) {
-            btn.addEventListener("click", fn);
-            btn.setAttribute('data-ai-connected', 'true');
-        }
-    });
-}, 500);
-
-function setStatus(message, gameState) {
-    const statusElement = document.getElementById("game-status");
-    if (statusElement) {
-        statusElement.textContent = message;
-        statusElement.className = `status-${gameState}`;
-    }
-}
\ No newline at end of file
+// AI opponent of the Player vs AI mode. It only talks to the game through the
+// event bus and the window.minesweeper API (see events.js and api.js).
+import * as Solver from "./solver.js";
+import { events } from "./events.js";
+import { statusCenter } from "./status.js";
+
+let aiMode = null;
+let thinkTimer = undefined; // timeout of the move being thought about
+let moveTimer = undefined; // timeout of the reveal after the cell is highlighted
+
+function updateAIButtonStyles() {
+    const buttons = {
+        easy: document.getElementById("ai-easy"),
+        medium: document.getElementById("ai-medium"),
+        hard: document.getElementById("ai-hard")
+    };
+    Object.values(buttons).forEach(btn => {
+        if (btn) {
+            btn.style.backgroundColor = "";
+            btn.style.color = "";
+            btn.style.fontWeight = "";
+            btn.style.border = "";
+            btn.style.boxShadow = "";
+        }
+    });
+    if (aiMode && buttons[aiMode]) {
+        const selectedBtn = buttons[aiMode];
+        switch (aiMode) {
+            case "easy":
+                selectedBtn.style.backgroundColor = "#4CAF50";
+                selectedBtn.style.color = "white";
+                break;
+            case "medium":
+                selectedBtn.style.backgroundColor = "#FF9800";
+                selectedBtn.style.color = "white";
+                break;
+            case "hard":
+                selectedBtn.style.backgroundColor = "#F44336";
+                selectedBtn.style.color = "white";
+                break;
+        }
+        selectedBtn.style.fontWeight = "bold";
+        selectedBtn.style.border = "3px solid #333";
+        selectedBtn.style.boxShadow = "0 0 10px rgba(0,0,0,0.3)";
+    }
+}
+
+function setBoardThinking(isThinking) {
+    const grid = document.getElementById("minesweeper-grid");
+    if (!grid) return;
+
+    if (isThinking) {
+        grid.style.opacity = "0.5";
+        grid.style.pointerEvents = "none";
+        grid.style.filter = "grayscale(70%)";
+
+        let overlay = document.getElementById("ai-thinking-overlay");
+        if (!overlay) {
+            overlay = document.createElement("div");
+            overlay.id = "ai-thinking-overlay";
+            overlay.style.cssText = `
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: rgba(0,0,0,0.8);
+                color: white;
+                padding: 15px 25px;
+                border-radius: 10px;
+                font-size: 16px;
+                font-weight: bold;
+                z-index: 1000;
+                pointer-events: none;
+                border: 2px solid #fff;
+                box-shadow: 0 0 20px rgba(0,0,0,0.5);
+            `;
+            const gridContainer = grid.parentElement;
+            gridContainer.style.position = "relative";
+            gridContainer.appendChild(overlay);
+        }
+        overlay.textContent = `AI (${aiMode.toUpperCase()}) is thinking...`;
+        overlay.style.display = "block";
+    } else {
+        grid.style.opacity = "1";
+        grid.style.pointerEvents = "auto";
+        grid.style.filter = "none";
+        const overlay = document.getElementById("ai-thinking-overlay");
+        if (overlay) {
+            overlay.style.display = "none";
+        }
+    }
+}
+
+function getAvailableCells(board) {
+    const availableCells = [];
+    board.cells.forEach((row, y) => {
+        row.forEach((value, x) => {
+            if (value === Solver.COVERED) {
+                availableCells.push({ x, y });
+            }
+        });
+    });
+    return availableCells;
+}
+
+function selectEasyCell(availableCells) {
+    //return a random cell bomb or not
+    if (availableCells.length === 0) return null;
+    return availableCells[Math.floor(Math.random() * availableCells.length)];
+}
+
+function selectMediumCell(board, availableCells) {
+    // flag/reveal what single-cell deductions prove, otherwise guess
+    return selectSolverCell(board, availableCells, "medium");
+}
+
+function selectHardCell(board, availableCells) {
+    // run the full constraint solver and pick the safest cell
+    return selectSolverCell(board, availableCells, "hard");
+}
+
+function selectSolverCell(board, availableCells, difficulty) {
+    if (availableCells.length === 0) return null;
+    const move = Solver.chooseMove(board, difficulty);
+    // Flags go down right away, the same way as a player's right-click
+    move.flags.forEach(({ x, y }) => minesweeper.flag(x, y, "ai"));
+    if (!move.reveal) return selectEasyCell(availableCells);
+    return availableCells.find(cell => cell.x === move.reveal.x && cell.y === move.reveal.y) ||
+        selectEasyCell(availableCells);
+}
+
+function aiMove() {
+    if (!aiMode) return;
+    setBoardThinking(true);
+    const delays = { easy: 500, medium: 600, hard: 700 };
+    const delay = delays[aiMode];
+    statusCenter.show(`AI (${aiMode.toUpperCase()}) is thinking...`, "playing");
+    thinkTimer = setTimeout(() => {
+        thinkTimer = undefined;
+        setBoardThinking(false);
+        makeAIMove();
+    }, delay);
+}
+
+function makeAIMove() {
+    clearPreviousAIHighlight();
+    const board = minesweeper.getBoard();
+    const availableCells = getAvailableCells(board);
+    let selectedCell = null;
+    switch (aiMode) {
+        case "easy":
+            selectedCell = selectEasyCell(availableCells);
+            break;
+        case "medium":
+            selectedCell = selectMediumCell(board, availableCells);
+            break;
+        case "hard":
+            selectedCell = selectHardCell(board, availableCells);
+            break;
+    }
+
+    if (selectedCell) {
+        // Highlight colors come from the theme (.ai-selected in styles.css)
+        const element = document.getElementById(`cell-${selectedCell.x}-${selectedCell.y}`);
+        if (element) element.classList.add("ai-selected");
+        // The turn goes back to the player once the reveal lands (turnChanged)
+        moveTimer = setTimeout(() => {
+            moveTimer = undefined;
+            minesweeper.reveal(selectedCell.x, selectedCell.y, "ai");
+        }, 500);
+    }
+}
+
+// Drop the move the AI was busy with (new game, game over, mode changed)
+function cancelAIMove() {
+    clearTimeout(thinkTimer);
+    clearTimeout(moveTimer);
+    thinkTimer = undefined;
+    moveTimer = undefined;
+    setBoardThinking(false);
+}
+
+function clearPreviousAIHighlight() {
+    const previousAICells = document.querySelectorAll(".ai-selected");
+    previousAICells.forEach(btn => btn.classList.remove("ai-selected"));
+}
+
+events.on("turnChanged", ({ turn }) => {
+    if (turn === "ai") {
+        aiMove();
+        return;
+    }
+    cancelAIMove();
+    // The end of the game hands the turn back too, its result stays on the banner
+    if (aiMode && !minesweeper.getState().finished) statusCenter.show("Your turn!", "playing");
+});
+
+events.on("aiModeChanged", ({ aiMode: mode }) => {
+    aiMode = mode;
+    updateAIButtonStyles();
+});
+
+events.on("gameStarted", () => {
+    cancelAIMove();
+    clearPreviousAIHighlight();
+});
+
+events.on("gameFinished", () => cancelAIMove());
+
+["easy", "medium", "hard"].forEach(mode => {
+    document.getElementById(`ai-${mode}`).addEventListener("click", () => {
+        minesweeper.setAIMode(mode);
+        statusCenter.notify(`AI ${mode[0].toUpperCase() + mode.slice(1)} mode selected`, "success");
+    });
+});
+
+// Pick up a saved game restored before this script ran (and its move, if it was the AI's turn)
+const restored = minesweeper.getState();
+aiMode = restored.aiMode;
+updateAIButtonStyles();
+if (aiMode && restored.turn === "ai") aiMove();
@@ -0,0 +1,91 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: api.js
+ * Description: Public JavaScript API of the game, published as window.minesweeper
+ *   for the AI opponent, add-ons and outside bots.
+ * Inputs/Outputs:
+ *   - Inputs: calls from other scripts (or the browser console)
+ *   - Outputs: new games and moves on the Game, board snapshots
+ * External Sources: validateSettings/showSettings from ./settings.js,
+ *   snapshotOf from ./solver.js, event bus from ./events.js
+ *
+ * API:
+ *   minesweeper.events                  → event bus, see events.js for the events
+ *   minesweeper.newGame(options)        → start a board; options { width, height,
+ *                                         mines, topology, seed, noGuess }, throws
+ *                                         the settings error if they are invalid
+ *   minesweeper.getBoard()              → what a player sees, in the snapshot
+ *                                         format of solver.js ({ w, h, topology,
+ *                                         mines, cells[y][x] }, COVERED = -1, FLAGGED = -2)
+ *   minesweeper.getState()              → { started, finished, turn, aiMode,
+ *                                         flagsLeft, clicks, time }
+ *   minesweeper.reveal(x, y, side)      → moves, played the same way as clicks;
+ *   minesweeper.flag(x, y, side)          side is "player" (default) or "ai",
+ *   minesweeper.chord(x, y, side)         returns true if the board changed
+ *                                         (hot-seat games ignore side, the move is
+ *                                         played for whoever's turn it is)
+ *   minesweeper.setAIMode(mode)         → "easy" / "medium" / "hard", or null to play alone
+ *
+ * Example, a bot that reveals the first covered cell after every AI move:
+ *   minesweeper.events.on("turnChanged", ({ turn }) => {
+ *       if (turn !== "player") return;
+ *       const board = minesweeper.getBoard();
+ *       const y = board.cells.findIndex(row => row.includes(-1));
+ *       if (y >= 0) minesweeper.reveal(board.cells[y].indexOf(-1), y);
+ *   });
+ */
+
+import { validateSettings, showSettings } from "./settings.js";
+import { snapshotOf } from "./solver.js";
+import { events } from "./events.js";
+
+const ACTIONS = ["reveal", "flag", "chord"];
+const AI_MODES = ["easy", "medium", "hard"];
+
+/**
+ * Build the API around a Game.
+ * @param {Game} game - The game on the page
+ * @returns {object} The API described above
+ */
+export function createAPI(game) {
+	// Play a move like a click would; the board takes no moves while it is
+	// locked (game over, AI vs AI match, ...)
+	const move = action => (x, y, side = "player") => {
+		if (game.spectating || game.renderer.locked) return false;
+		if (!Number.isInteger(x) || !Number.isInteger(y) || !game.map.inMap(x, y)) return false;
+		return game.handleMove(action, x, y, side === "ai" ? "ai" : "player");
+	};
+
+	const api = {
+		events,
+
+		newGame(options = {}) {
+			const settings = validateSettings({ width: 10, height: 10, mines: 10, ...options });
+			showSettings(settings); // keep the form in line with the board
+			game.newGame({ ...settings, seed: String(options.seed || ""), noGuess: Boolean(options.noGuess) });
+		},
+
+		getBoard() {
+			return snapshotOf(game.map, Number(game.bombs));
+		},
+
+		getState() {
+			return {
+				started: game.started,
+				finished: Boolean(game.endTime),
+				turn: game.turn,
+				aiMode: game.aiMode,
+				flagsLeft: game.flags,
+				clicks: game.clicks,
+				time: game.startTime ? game.elapsed() : 0,
+			};
+		},
+
+		setAIMode(mode) {
+			game.setAIMode(AI_MODES.includes(mode) ? mode : null);
+		},
+	};
+	ACTIONS.forEach(action => (api[action] = move(action)));
+	return Object.freeze(api);
+}
@@ -0,0 +1,148 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: benchmark.js
+ * Description: Headless benchmark of the AI difficulties on seeded boards (Node only).
+ * Inputs/Outputs:
+ *   - Inputs: command line options (number of games, board, topology, difficulties, seed)
+ *   - Outputs: win rate, average progress, guesses and moves per difficulty
+ * External Sources: Map class from ./map.js, chooseMove and snapshotOf from ./solver.js,
+ *   createRandom from ./random.js, countUncovered from ./versus.js, TOPOLOGIES from ./topology.js
+ *
+ * Usage:
+ *   node game/benchmark.js [--games 1000] [--board 9x9/10] [--topology square|torus|hex]
+ *     [--difficulty easy,medium,hard] [--seed bench]
+ *
+ * Every difficulty plays the same seeds (<seed>-0, <seed>-1, ...). A move is a
+ * guess when the AI can't prove the cell it reveals is safe; the first click
+ * is always safe and never counts as one.
+ */
+
+import { fileURLToPath } from "node:url";
+import { Map } from "./map.js";
+import { chooseMove, snapshotOf } from "./solver.js";
+import { createRandom } from "./random.js";
+import { countUncovered } from "./versus.js";
+import { TOPOLOGIES } from "./topology.js";
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * Play one game with a single AI until it wins or hits a bomb.
+ * @param {string} difficulty - "easy", "medium" or "hard"
+ * @param {object} board - { width, height, mines, seed, topology }
+ * @returns {{result: string, progress: number, guesses: number, moves: number}}
+ *   result is "win" or "lose", progress the share of safe cells uncovered (0-1)
+ */
+export function playGame(difficulty, { width, height, mines, seed, topology = "square" }) {
+	const random = createRandom(seed);
+	// Stand-in for Game: flags are unlimited, nothing else is needed by reveal()
+	const game = { started: true, start() {}, finish() {}, placeFlag: () => true, removeFlag: () => true };
+	const map = new Map(width, height, game, topology);
+
+	let result = null;
+	let guesses = 0;
+	let moves = 0;
+	while (!result) {
+		const move = chooseMove(snapshotOf(map, mines), difficulty, random);
+		if (!move.reveal) break;
+		const { x, y } = move.reveal;
+
+		// Bombs are placed around the first click, like in a real game
+		if (moves === 0) {
+			map.generateBombs(mines, x, y, random);
+		} else if (!move.certain) {
+			guesses++;
+		}
+		move.flags.forEach(flag => map.setCell(flag.x, flag.y, 2, 1));
+		moves++;
+
+		if (map.reveal(x, y) === "bomb") {
+			result = "lose";
+		} else if (map.checkWin()) {
+			result = "win";
+		}
+	}
+
+	const safeCells = width * height - mines;
+	return { result: result || "lose", progress: countUncovered(map).safe / safeCells, guesses, moves };
+}
+
+/**
+ * Play many seeded games for each difficulty.
+ * @param {object} options - { games, width, height, mines, topology, difficulties, seed }
+ * @returns {object[]} One summary per difficulty:
+ *   { difficulty, games, winRate, progress, guesses, moves, ms } (averages per game)
+ */
+export function runBenchmark({ games, width, height, mines, topology = "square", difficulties = DIFFICULTIES, seed = "bench" }) {
+	return difficulties.map(difficulty => {
+		const started = Date.now();
+		const total = { wins: 0, progress: 0, guesses: 0, moves: 0 };
+		for (let i = 0; i < games; i++) {
+			const game = playGame(difficulty, { width, height, mines, topology, seed: `${seed}-${i}` });
+			if (game.result === "win") total.wins++;
+			total.progress += game.progress;
+			total.guesses += game.guesses;
+			total.moves += game.moves;
+		}
+		return {
+			difficulty,
+			games,
+			winRate: total.wins / games,
+			progress: total.progress / games,
+			guesses: total.guesses / games,
+			moves: total.moves / games,
+			ms: (Date.now() - started) / games,
+		};
+	});
+}
+
+// Read "--name value" pairs from the command line
+function parseArgs(args) {
+	const options = {};
+	for (let i = 0; i < args.length; i += 2) {
+		if (!args[i].startsWith("--") || args[i + 1] === undefined) {
+			throw new Error(`Unexpected argument: ${args[i]}`);
+		}
+		options[args[i].slice(2)] = args[i + 1];
+	}
+	return options;
+}
+
+function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const games = Number(args.games || 1000);
+	const board = (args.board || "9x9/10").match(/^(\d+)x(\d+)\/(\d+)$/);
+	const topology = args.topology || "square";
+	const difficulties = (args.difficulty || DIFFICULTIES.join(",")).split(",");
+	if (!Number.isInteger(games) || games < 1) throw new Error("--games must be a positive whole number.");
+	if (!board) throw new Error("--board must look like 9x9/10 (width x height / mines).");
+	if (!Object.hasOwn(TOPOLOGIES, topology)) throw new Error(`Unknown topology: ${topology}`);
+	const unknown = difficulties.find(difficulty => !DIFFICULTIES.includes(difficulty));
+	if (unknown) throw new Error(`Unknown difficulty: ${unknown}`);
+
+	const [, width, height, mines] = board.map(Number);
+	if (mines > width * height - 9) throw new Error("Too many mines for the board.");
+	console.log(`${games} games per difficulty on ${width}x${height} (${TOPOLOGIES[topology]}) with ${mines} mines\n`);
+	console.log("difficulty  win rate  progress  guesses  moves   ms/game");
+	runBenchmark({ games, width, height, mines, topology, difficulties, seed: args.seed }).forEach(row => {
+		console.log([
+			row.difficulty.padEnd(10),
+			`${(row.winRate * 100).toFixed(1)}%`.padStart(8),
+			`${(row.progress * 100).toFixed(1)}%`.padStart(8),
+			row.guesses.toFixed(2).padStart(7),
+			row.moves.toFixed(1).padStart(6),
+			row.ms.toFixed(1).padStart(9),
+		].join("  "));
+	});
+}
+
+// Only run when started from the command line, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	try {
+		main();
+	} catch (err) {
+		console.error(err.message);
+		process.exitCode = 1;
+	}
+}
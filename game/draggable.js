@@ -1,22 +1,27 @@
-document.querySelectorAll('.draggable').forEach(img => {
-    let offsetX, offsetY, isDragging = false;
-
-    img.addEventListener('mousedown', e => {
-        isDragging = true;
-        offsetX = e.clientX - img.offsetLeft;
-        offsetY = e.clientY - img.offsetTop;
-        img.style.cursor = 'grabbing';
-    });
-
-    document.addEventListener('mousemove', e => {
-        if (isDragging) {
-            img.style.left = (e.clientX - offsetX) + 'px';
-            img.style.top = (e.clientY - offsetY) + 'px';
-        }
-    });
-
-    document.addEventListener('mouseup', () => {
-        isDragging = false;
-        img.style.cursor = 'grab';
-    });
-});
+document.querySelectorAll('.draggable').forEach(img => {
+    let offsetX, offsetY, isDragging = false;
+
+    // Pointer events cover mouse, touch and pen alike
+    img.addEventListener('pointerdown', e => {
+        isDragging = true;
+        offsetX = e.clientX - img.offsetLeft;
+        offsetY = e.clientY - img.offsetTop;
+        img.setPointerCapture(e.pointerId); // keep receiving moves outside the image
+        img.style.cursor = 'grabbing';
+        e.preventDefault(); // no native image drag
+    });
+
+    img.addEventListener('pointermove', e => {
+        if (isDragging) {
+            img.style.left = (e.clientX - offsetX) + 'px';
+            img.style.top = (e.clientY - offsetY) + 'px';
+        }
+    });
+
+    const stopDragging = () => {
+        isDragging = false;
+        img.style.cursor = 'grab';
+    };
+    img.addEventListener('pointerup', stopDragging);
+    img.addEventListener('pointercancel', stopDragging);
+});
@@ -0,0 +1,159 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: editor.js
+ * Description: Board editor panel: place mines by hand, then play the board
+ *   or share it as level text or as a link.
+ * Inputs/Outputs:
+ *   - Inputs: editor buttons, the level text box, a level in the page's URL fragment
+ *   - Outputs: boards opened in the editor or played on the Game, level text
+ *     and links (copied to the clipboard when the browser allows it)
+ * External Sources: level formats from ./level.js, readSettings from ./settings.js,
+ *   statusCenter from ./status.js
+ *
+ * While editing, every cell is uncovered: a click (or reveal/flag key) on a
+ * cell places or removes a mine and the numbers around it follow right away
+ * (see Game.editCell). "Play" starts a game on the edited board; the first
+ * click is not protected there, the mines are exactly where they were put.
+ *
+ * Opening the page with a level link (#level=..., see level.js) starts that
+ * board instead of resuming the saved game.
+ *
+ * DOM element requirements:
+ *  - #editor-start, #editor-clear and #editor-play buttons
+ *  - #level-text textarea, #level-load, #level-copy and #level-link buttons
+ */
+
+import { levelToText, levelFromText, levelToFragment, levelFromFragment, checkPlayable } from "./level.js";
+import { readSettings } from "./settings.js";
+import { statusCenter } from "./status.js";
+
+// LEVEL EDITOR CLASS ✏️ ——————————————————————————————————————————————————————————————————————————
+export class LevelEditor {
+	/**
+	 * @param {Game} game - Game whose board is edited and played
+	 */
+	constructor(game) {
+		this.game = game;
+		this.text = document.getElementById("level-text");
+
+		const on = (id, fn) => document.getElementById(id).addEventListener("click", fn);
+		on("editor-start", () => this.start());
+		on("editor-clear", () => this.clear());
+		on("editor-play", () => this.play());
+		on("level-load", () => this.loadText());
+		on("level-copy", () => this.copyText());
+		on("level-link", () => this.copyLink());
+	}
+
+	/**
+	 * Open the board on screen in the editor (its mines, once they are placed),
+	 * or an empty board with the size from the settings panel.
+	 */
+	start() {
+		const level = this.game.currentLevel();
+		if (level) {
+			this.game.startEditing(level);
+			return;
+		}
+		const settings = readSettings(); // shows what is wrong next to the form
+		if (!settings) return;
+		const { width, height, topology } = settings;
+		this.game.startEditing({ width, height, topology, layout: [] });
+	}
+
+	/**
+	 * Take every mine off the board being edited.
+	 */
+	clear() {
+		if (!this.game.editing) return;
+		const { width, height, topology } = this.game.currentLevel();
+		this.game.startEditing({ width, height, topology, layout: [] });
+	}
+
+	/**
+	 * Start a game on the board being edited.
+	 */
+	play() {
+		if (!this.game.editing) {
+			statusCenter.notify("Open the board editor (or load a level) first.", "warning");
+			return;
+		}
+		const level = this.game.currentLevel();
+		try {
+			checkPlayable(level); // the same checks as for level links
+		} catch (err) {
+			statusCenter.notify(err.message, "warning");
+			return;
+		}
+		this.game.playLevel(level);
+	}
+
+	/**
+	 * Open the level typed (or pasted) into the text box in the editor.
+	 */
+	loadText() {
+		try {
+			this.game.startEditing(levelFromText(this.text.value));
+		} catch (err) {
+			statusCenter.notify(err.message, "error");
+		}
+	}
+
+	/**
+	 * Write the board into the text box and copy it.
+	 */
+	copyText() {
+		const level = this.currentOrWarn();
+		if (!level) return;
+		this.text.value = levelToText(level);
+		this.copy(this.text.value, "Level text copied.", "Level text is in the box below the editor buttons.");
+	}
+
+	/**
+	 * Put a link to the board in the address bar and copy it.
+	 */
+	copyLink() {
+		const level = this.currentOrWarn();
+		if (!level) return;
+		history.replaceState(null, "", levelToFragment(level));
+		this.copy(location.href, "Level link copied.", "Level link is in the address bar.");
+	}
+
+	/**
+	 * Play the level of the page's URL fragment, if there is one. The fragment
+	 * is dropped afterwards, so a refresh resumes the game like any other.
+	 * @returns {boolean} true if a level was started
+	 */
+	openLink() {
+		let level;
+		try {
+			level = levelFromFragment(location.hash);
+		} catch (err) {
+			statusCenter.notify(err.message, "error");
+		}
+		if (!level) return false;
+		history.replaceState(null, "", location.pathname + location.search);
+		this.game.playLevel(level);
+		return true;
+	}
+
+	// Board on screen, or a warning if it has no mines yet
+	currentOrWarn() {
+		const level = this.game.currentLevel();
+		if (!level) statusCenter.notify("There are no mines to share yet, edit or play the board first.", "warning");
+		return level;
+	}
+
+	// Copy text to the clipboard, telling where it is if the browser refuses
+	copy(text, copied, fallback) {
+		if (!navigator.clipboard) {
+			statusCenter.notify(fallback);
+			return;
+		}
+		navigator.clipboard.writeText(text).then(
+			() => statusCenter.notify(copied, "success"),
+			() => statusCenter.notify(fallback),
+		);
+	}
+}
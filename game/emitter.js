@@ -0,0 +1,48 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: emitter.js
+ * Description: Minimal publish/subscribe helper shared by the game modules.
+ * Inputs/Outputs:
+ *   - Inputs: event names and listener callbacks
+ *   - Outputs: calls every listener registered for an event when it is emitted
+ * External Sources: None (custom implementation)
+ */
+
+// EMITTER CLASS 📣 ————————————————————————————————————————————————————————————————————————————————
+export class Emitter {
+	constructor() {
+		this.listeners = {}; // event name → array of callbacks
+	}
+
+	/**
+	 * Register a listener for an event.
+	 * @param {string} event - Event name
+	 * @param {function} fn - Callback receiving the emitted arguments
+	 * @returns {function} Call to remove the listener again
+	 */
+	on(event, fn) {
+		if (!this.listeners[event]) this.listeners[event] = [];
+		this.listeners[event].push(fn);
+		return () => this.off(event, fn);
+	}
+
+	/**
+	 * Remove a listener registered with on().
+	 */
+	off(event, fn) {
+		const list = this.listeners[event];
+		if (!list) return;
+		this.listeners[event] = list.filter(listener => listener !== fn);
+	}
+
+	/**
+	 * Call every listener for an event with the given arguments.
+	 */
+	emit(event, ...args) {
+		const list = this.listeners[event];
+		if (!list) return;
+		// Copy so listeners can unsubscribe while being called
+		list.slice().forEach(listener => listener(...args));
+	}
+}
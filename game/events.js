@@ -0,0 +1,36 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: events.js
+ * Description: Game-wide event bus, so the AI, audio and outside scripts can
+ *   follow the game without reaching into each other's variables.
+ * Inputs/Outputs:
+ *   - Inputs: events emitted by the Game (game.js)
+ *   - Outputs: calls to every listener registered with events.on()
+ * External Sources: Emitter class imported from ./emitter.js
+ *
+ * Every event passes a single object:
+ *   gameStarted   { width, height, mines, seed, topology, aiMode }
+ *                 → a new board is ready (new game or restored save)
+ *   cellRevealed  { x, y, count, mine, by }
+ *                 → a move uncovered count cells starting at (x, y);
+ *                   mine is true if it uncovered a mine, by is "player", "ai"
+ *                   or "opponent" (the other browser of an online match)
+ *   flagToggled   { x, y, placed, by }
+ *                 → a flag was placed (placed = true) or removed
+ *   turnChanged   { turn, aiMode }
+ *                 → "player" or "ai" is next to move (Player vs AI, or the
+ *                   first / second player of a hot-seat game)
+ *   aiModeChanged { aiMode }
+ *                 → AI opponent picked: "easy" / "medium" / "hard", or null for none
+ *   gameFinished  { result, winner, time, clicks, hints, seed }
+ *                 → the game ended; result is the player's "win" / "lose" /
+ *                   "draw" (or anything else for a neutral ending), winner
+ *                   the side that won a Player vs AI game (null otherwise)
+ *
+ * Outside scripts reach the same bus as window.minesweeper.events (see api.js).
+ */
+
+import { Emitter } from "./emitter.js";
+
+export const events = new Emitter();
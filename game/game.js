@@ -4,9 +4,20 @@
  * File: game.js
  * Description: Frontend logic for Minesweeper-style game.
  * Inputs/Outputs:
- *   - Inputs: user clicks, popup button clicks, grid size and bomb count inputs
- *   - Outputs: HTML grid updates, flag counter updates, status messages
- * External Sources: Map class imported from ./map.js
+ *   - Inputs: user clicks, popup button clicks, grid size, bomb count and seed inputs
+ *   - Outputs: HTML grid updates, flag/timer/move counter updates, status messages,
+ *     statistics panel
+ * External Sources: Map class imported from ./map.js, Renderer class from ./renderer.js,
+ *   seeded random numbers from ./random.js, statistics from ./stats.js,
+ *   high-score tables from ./leaderboard.js, save files from ./save.js,
+ *   move log from ./history.js, replay controls from ./replay.js,
+ *   board zoom/pan from ./touch.js, settings validation and presets from ./settings.js,
+ *   Player vs AI scoring from ./versus.js, AI vs AI matches from ./spectator.js,
+ *   hot-seat games from ./hotseat.js, the board editor from ./editor.js,
+ *   hints and mine probabilities from ./solver.js, background music from ./music.js,
+ *   sound effects from ./sounds.js, visual themes from ./themes.js,
+ *   event bus from ./events.js and the window.minesweeper API from ./api.js,
+ *   status banner and notifications from ./status.js, online matches from ./online.js
  * Responsibilities:
  *   - Popup management, game initialization, grid rendering,
  *     user interaction, game state tracking, UI updates
@@ -26,34 +37,112 @@
  *    (toggle flag) events on each cell.
  *  - State tracking: Tracks whether the game has started, whether
  *    the player is dead, bombs remaining, and flags placed.
- *  - UI updates: Updates the game status message and flag counter
- *    throughout gameplay.
+ *  - UI updates: Updates the game status banner, notifications and
+ *    flag counter throughout gameplay.
  *
  * Core components:
  *  - `Game` class: Encapsulates game state and methods for setup,
  *    starting, finishing, and flag management.
  *  - `Map` class (imported): Handles internal board logic such as
  *    bomb generation, adjacency calculation, and cell reveal.
+ *  - `Renderer` class (imported): Builds the grid buttons and redraws
+ *    them whenever the map reports a change.
  *
  * DOM element requirements:
  *  - #popupOverlay and #popupContainer for the startup popup
  *  - #closePopup button inside popup
  *  - #start-game button to trigger game creation
- *  - #grid-width, #grid-height, and #bomb-count inputs for game setup
+ *  - #grid-width, #grid-height, #bomb-count and #seed inputs for game setup,
+ *    #difficulty-preset select and #settings-error (see settings.js)
+ *  - #no-guess checkbox to request a board that never needs a guess
+ *  - #seed-display to show the seed of the finished game
+ *  - #status-indicator and #toast-container (see status.js)
  *  - #minesweeper-grid container for the game board
  *  - #flag-counter to display flags remaining
+ *  - #timer and #move-counter to display elapsed seconds and player clicks
+ *  - #stats-panel and #reset-stats for the statistics panel
+ *  - #name-entry form and leaderboard view elements (see leaderboard.js)
+ *  - #export-save button and #import-save file input
+ *  - #practice-mode checkbox and #undo button
+ *  - replay controls (see replay.js)
+ *  - #grid-viewport around the grid (see touch.js) and #tap-mode button
+ *  - #scoreboard, #mine-rule and #series-length (see versus.js)
+ *  - AI vs AI controls (see spectator.js)
+ *  - hot-seat panel (see hotseat.js)
+ *  - board editor panel (see editor.js)
+ *  - #hint button and #probability-overlay checkbox
+ *  - #minesweeper-audio and the music controls (see music.js), #sound-volume
+ *  - #theme select (see themes.js)
+ *  - online match panel (see online.js)
  *
  * Usage:
  *  - On page load, the popup displays automatically.
  *  - The "Start Game" button initializes the board with parameters
- *    set by the user in the input fields.
+ *    set by the user in the input fields (or a difficulty preset),
+ *    once they pass validation.
  *  - Left-click reveals cells, right-click toggles flags.
+ *  - On touchscreens a long-press flags, the tap mode button switches taps
+ *    between revealing and flagging, and the board can be pinch-zoomed.
+ *  - Clicking (or middle-clicking) a number whose flags are all placed
+ *    reveals the rest of its neighbors ("chording").
  *  - The game ends with a win (all safe cells revealed) or loss
  *    (bomb clicked), and no further interaction is possible.
+ *  - Against the AI both sides score a point per uncovered cell; hitting a
+ *    mine loses the game (or costs points, depending on the mine rule) and
+ *    matches can be played as a best-of-N series.
+ *  - Two AIs can play each other (or one alone) while the player watches.
+ *  - Two browsers can play each other online through server.js, taking
+ *    turns on one board or racing on identical boards.
+ *  - The hint button highlights a safe (or the least risky) cell, and the
+ *    probability overlay tints covered cells by their chance of a mine.
+ *    Both count as hints in the end-of-game summary.
+ *  - Every move is auto-saved; refreshing the page resumes the game.
+ *  - Every move is logged: practice games can undo moves, finished games
+ *    can be replayed step by step and exported as text.
  */
 
 /* Import Map class for internal board logic */
 import { Map } from "./map.js"; // Imported Map CLASS
+/* Import Renderer class that draws the map as buttons */
+import { Renderer } from "./renderer.js";
+/* Import seeded random number generator for reproducible boards */
+import { createRandom, randomSeed } from "./random.js";
+/* Import game records and statistics */
+import { recordGame, clearRecords, renderStats, configKey } from "./stats.js";
+/* Import local high-score tables */
+import { setupLeaderboard, offerNameEntry, hideNameEntry } from "./leaderboard.js";
+/* Import saving and loading of in-progress games */
+import { SAVE_VERSION, saveGame, loadSave, clearSave, downloadSave, readSaveFile } from "./save.js";
+/* Import move log and replay controls */
+import { MoveHistory } from "./history.js";
+import { ReplayPlayer } from "./replay.js";
+/* Import pinch-zoom and panning of the board */
+import { ZoomPan } from "./touch.js";
+/* Import validated board settings and difficulty presets */
+import { setupSettings, readSettings, showSettings } from "./settings.js";
+/* Import Player vs AI scoring */
+import { VersusMatch, countUncovered, movePoints, scoreHistory } from "./versus.js";
+/* Import AI vs AI spectator mode */
+import { Spectator } from "./spectator.js";
+/* Import the hot-seat mode for two players on one screen */
+import { HotSeat, emptyOwners, encodeOwners, decodeOwners } from "./hotseat.js";
+/* Import the board editor for hand-made boards */
+import { LevelEditor } from "./editor.js";
+/* Import the solver for hints and the probability overlay */
+import { findHint, computeProbabilities, snapshotOf } from "./solver.js";
+/* Import the background music player */
+import { MusicPlayer } from "./music.js";
+/* Import synthesized sound effects */
+import { SoundEffects } from "./sounds.js";
+/* Import visual themes (colors live in styles.css, icons here) */
+import { THEMES, setupThemes } from "./themes.js";
+/* Import the event bus and the public API built on it */
+import { events } from "./events.js";
+import { createAPI } from "./api.js";
+/* Import the status banner and notifications */
+import { statusCenter } from "./status.js";
+/* Import online matches against another browser */
+import { OnlineMatch } from "./online.js";
 
 // --- Popup logic ---
 // Handles showing the welcome popup on page load and closing it
@@ -69,10 +158,10 @@ window.onload = function () {
 	};
 };
 
-function setStatus(message, className) {
-	const statusElement = document.getElementById("status-indicator");
-	statusElement.textContent = message;
-	statusElement.className = `status-indicator ${className}`;
+// Show the seed of the finished game (empty string hides it)
+function showSeed(seed) {
+	const seedElement = document.getElementById("seed-display");
+	seedElement.textContent = seed ? `Seed: ${seed}` : "";
 }
 
 // GAME CLASS ——————————————————————————————————————————————————————————————————————
@@ -83,60 +172,771 @@ class Game {
 		this.dead = false; // true if player has clicked a bomb
 
 		this.map = undefined; // map object
+		this.renderer = undefined; // draws the map into #minesweeper-grid
 		this.bombs = 0; // total bombs in current game
 		this.flags = 0; // flags remaining
+		this.seed = ""; // seed used to place the bombs of the current game
+		this.noGuess = false; // true if the board must be solvable without guessing
+
+		this.clicks = 0; // player clicks in current game
+		this.startTime = 0; // Date.now() of the first click
+		this.endTime = 0; // Date.now() when the game finished
+		this.timer = undefined; // interval that refreshes the timer display
+
+		this.history = undefined; // MoveHistory of the current game
+		this.practice = false; // practice games allow undo and aren't recorded
+		this.versus = new VersusMatch(); // scores when playing against the AI
+		this.pendingScore = null; // { side, before } of the move being played in an AI game
+		this.spectating = null; // [{ side, name }] of the AIs playing while the player watches
+		this.hints = 0; // hints used in the current game (the overlay counts once)
+		this.overlayCounted = false; // true once the probability overlay counted as a hint
+		this.overlayPending = false; // true while an overlay update is scheduled
+		this.replay = new ReplayPlayer(this, message => statusCenter.notify(message, "error"));
+		this.spectator = new Spectator(this);
+		this.hotSeat = null; // { player, ai } names of the two people sharing the screen
+		this.owners = null; // owners[y][x], side that uncovered each cell of a hot-seat game
+		this.hotSeatPanel = new HotSeat(this);
+		this.editing = false; // true while mines are placed by hand (see editor.js)
+		this.level = null; // [x, y] of the mines of a hand-made board, placed on the first click
+		this.editor = new LevelEditor(this);
+		this.music = new MusicPlayer(document.getElementById("minesweeper-audio"));
+		this.sounds = new SoundEffects();
+		this.moveBy = "player"; // side of the move being played, passed on with board events
+		this.aiMode = null; // AI opponent: "easy" / "medium" / "hard", or null to play alone
+		this.turn = "player"; // side to move next when playing against the AI
+		this.online = new OnlineMatch(this); // match against another browser, if one is going on
+
+		// Sound effects for what happens on the board. Both seats of a hot-seat
+		// game are people, so only a real AI (or the opponent online) gets the AI voice
+		const aiVoice = by => by !== "player" && !this.hotSeat;
+		events.on("cellRevealed", ({ count, mine, by }) => {
+			if (mine) {
+				this.sounds.explosion();
+			} else {
+				this.sounds.reveal(count, aiVoice(by));
+			}
+		});
+		events.on("flagToggled", ({ placed, by }) => this.sounds.flag(placed, aiVoice(by)));
+
+		// Touch controls: zoomable board and a switch between tapping to reveal or to flag
+		this.zoom = new ZoomPan(document.getElementById("grid-viewport"), document.getElementById("minesweeper-grid"));
+		this.tapMode = "reveal";
+		document.getElementById("tap-mode").addEventListener("click", () => {
+			this.setTapMode(this.tapMode === "reveal" ? "flag" : "reveal");
+		});
+
+		// Difficulty presets and the mine cap of the settings form
+		setupSettings();
+
+		// Theme picked in the settings panel (remembered between visits)
+		this.theme = setupThemes(theme => this.setTheme(theme));
 
 		// Set up create map button
 		document.getElementById("start-game").addEventListener("click", () => {
 			this.createMap();
 		});
+
+		// Statistics panel
+		document.getElementById("reset-stats").addEventListener("click", () => {
+			clearRecords();
+			renderStats(document.getElementById("stats-panel"));
+		});
+		renderStats(document.getElementById("stats-panel"));
+
+		// Hints and the mine probability overlay
+		document.getElementById("hint").addEventListener("click", () => {
+			this.hint();
+		});
+		document.getElementById("probability-overlay").addEventListener("change", () => {
+			this.updateOverlay();
+		});
+
+		// Undo the last move (practice mode only)
+		document.getElementById("undo").addEventListener("click", () => {
+			this.undo();
+		});
+
+		// Export / import of the current game as a .json file
+		document.getElementById("export-save").addEventListener("click", () => {
+			if (!this.started) {
+				statusCenter.notify("Start a game before exporting it.", "warning");
+				return;
+			}
+			if (this.online.active) {
+				statusCenter.notify("Online matches can't be exported.", "warning");
+				return;
+			}
+			downloadSave(this.getState());
+		});
+		document.getElementById("import-save").addEventListener("change", (e) => {
+			const file = e.target.files[0];
+			e.target.value = ""; // allow importing the same file again
+			if (!file) return;
+			readSaveFile(file)
+				.then(state => this.restore(state))
+				.catch(err => statusCenter.notify(`Couldn't import save: ${err.message}`, "error"));
+		});
+
+		// Leaderboard view starts on the board size currently entered in the settings
+		setupLeaderboard(() => configKey(
+			document.getElementById("grid-width").value,
+			document.getElementById("grid-height").value,
+			document.getElementById("bomb-count").value,
+			document.getElementById("topology").value,
+		));
 	}
 
 	/*
 	 * Set up game upon loading the webpage.
+	 * An empty seed picks a random one, so every game can be replayed.
 	 */
-	initialize(width = 10, height = 10, bombs = 10) {
+	initialize(width = 10, height = 10, bombs = 10, seed = "", noGuess = false, topology = "square") {
+		this.spectator.stop(); // a new board ends any AI vs AI match being watched
+		this.hotSeat = null; // and any hot-seat game (startHotSeat follows for a new one)
+		this.owners = null;
+		this.editing = false; // and the editor (startEditing / playLevel follow for a hand-made board)
+		this.level = null;
 		this.started = false;
 		this.dead = false;
-		setStatus("", ""); // clear status
+		statusCenter.show(""); // clear status
+		showSeed(""); // hide seed of previous game
+		hideNameEntry(); // unsaved high score of previous game is dropped
 
 		// Set game parameters
 		this.bombs = bombs;
 		this.flags = this.bombs;
+		this.seed = seed || randomSeed();
+		this.noGuess = noGuess;
+
+		// Reset timer and move counter
+		this.stopTimer();
+		this.clicks = 0;
+		this.hints = 0;
+		this.overlayCounted = false;
+		this.startTime = 0;
+		this.endTime = 0;
+
+		// Start a new move log
+		this.history = new MoveHistory(width, height, bombs, this.seed, topology);
+		this.replay.close();
+		this.versus.startGame(Boolean(this.aiMode));
+		this.setTurn("player");
 
 		// Create map object
-		this.map = new Map(width, height, this);
+		this.map = new Map(width, height, this, topology);
 
-		// Set up html grid
+		// Set up html grid, kept in sync with the map by the renderer
+		if (this.renderer) this.renderer.destroy();
 		const grid = document.getElementById("minesweeper-grid");
-		grid.innerHTML = "";
-		grid.style.gridTemplateColumns = `repeat(${width}, 58px)`;
-		grid.style.gridTemplateRows = `repeat(${height}, 58px)`;
-
-		// Create buttons for each cell in grid
-		for (let y = 0; y < height; y++) {
-			for (let x = 0; x < width; x++) {
-				// Create buttons
-				const btn = document.createElement("button");
-				btn.className = "grid-btn";
-				btn.id = `cell-${x}-${y}`;
-
-				// left-click reveals cell
-				btn.addEventListener("click", () => {
-					this.map.cellClicked(x, y);
-				});
-
-				// right-click toggles flag
-				btn.addEventListener("contextmenu", (e) => {
-					e.preventDefault();
-					this.map.cellRightClicked(x, y);
-				});
-				grid.appendChild(btn);
-			}
-		}
+		this.renderer = new Renderer(this.map, grid, {
+			reveal: (x, y) => this.handleMove("reveal", x, y), // left-click reveals cell
+			flag: (x, y) => this.handleMove("flag", x, y), // right-click toggles flag
+			chord: (x, y) => this.handleMove("chord", x, y), // middle-click chords
+		}, document.getElementById("grid-announcer"), THEMES[this.theme].icons);
+		this.renderer.tapMode = this.tapMode;
+
+		// Pass what happens on the board on to the event bus (see events.js)
+		this.map.on("reveal", (x, y, count) => events.emit("cellRevealed", { x, y, count, mine: false, by: this.moveBy }));
+		this.map.on("bomb", (x, y) => events.emit("cellRevealed", { x, y, count: 1, mine: true, by: this.moveBy }));
+		this.map.on("flag", (x, y, placed) => events.emit("flagToggled", { x, y, placed, by: this.moveBy }));
+
+		// Keep the probability overlay up to date with the board
+		this.map.on("change", () => this.scheduleOverlay());
+		this.map.on("refresh", () => this.scheduleOverlay());
+		this.updateOverlay();
+		this.zoom.reset();
 
-		this.map.updateMap(); // update map display
 		this.updateFlagCounter(); // update flag counter display
+		this.updateTimer();
+		this.updateMoveCounter();
+		this.updateUndoButton();
+		clearSave(); // a new board replaces the saved game
+	}
+
+	/**
+	 * handleMove
+	 * Runs a click on the board: counts it, applies it to the map and
+	 * auto-saves the result. Moves made by the AI are not counted.
+	 * Against the AI or in a hot-seat game, a move that uncovers cells hands
+	 * the turn to the other side.
+	 * @param {string} action - "reveal", "flag" or "chord"
+	 * @param {number} x - X-coordinate of the cell
+	 * @param {number} y - Y-coordinate of the cell
+	 * @param {string} by - Side making the move, "player" (clicks) or "ai"
+	 *   (the AI opponent, or the second AI of the spectator mode); hot-seat
+	 *   games play every move for the side whose turn it is
+	 * @returns {boolean} true if the move changed the board
+	 */
+	handleMove(action, x, y, by = "player") {
+		// In the editor a click puts a mine on the cell or takes it off
+		if (this.editing) {
+			if (action !== "chord") this.editCell(x, y);
+			return false;
+		}
+
+		// Online the server plays the move and sends back what changed (see online.js)
+		if (this.online.active) {
+			if (by === "player") this.online.move(action, x, y);
+			return false;
+		}
+
+		// The clicks on a shared screen are always from whoever's turn it is
+		if (this.hotSeat) by = this.turn;
+
+		// The player waits while the AI opponent takes its turn
+		if (!this.spectating && this.aiMode && this.turn !== by) return false;
+
+		const byAI = by === "ai";
+		if ((!byAI || this.hotSeat) && !this.spectating) {
+			this.clicks++;
+			this.updateMoveCounter();
+		}
+
+		// Against the AI, the cells this move uncovers are scored for its side
+		// (the AI mode may also have been picked after the game started)
+		if (this.aiMode) this.versus.active = true;
+		if (this.versus.active) {
+			this.pendingScore = { side: byAI ? "ai" : "player", before: countUncovered(this.map) };
+		}
+
+		this.moveBy = byAI ? "ai" : "player";
+
+		// Only moves that change the board end up in the move log
+		let changed = false;
+		const touched = []; // [x, y] of the changed cells, for the hot-seat colors
+		const stopWatching = this.map.on("change", (cx, cy) => {
+			changed = true;
+			if (this.owners) touched.push([cx, cy]);
+		});
+		const time = this.elapsed();
+
+		if (action === "reveal") {
+			this.map.cellClicked(x, y);
+		} else if (action === "flag") {
+			this.map.cellRightClicked(x, y);
+		} else if (action === "chord") {
+			this.map.cellMiddleClicked(x, y);
+		}
+
+		stopWatching();
+		this.scorePendingMove();
+		touched.forEach(([cx, cy]) => {
+			if (this.map.getCell(cx, cy, 3) === 0 && !this.owners[cy][cx]) this.owners[cy][cx] = this.moveBy;
+		});
+		if (changed) {
+			this.renderer.showHint(null); // the hint was for the board before this move
+			this.history.record({ by: byAI ? "ai" : "player", action, x, y, time });
+			this.updateUndoButton();
+		}
+
+		// The move ended the game → it can now be replayed, final move included
+		if (!this.started && this.endTime) {
+			this.replay.open(this.history);
+		}
+
+		if ((this.aiMode || this.hotSeat) && this.started && changed && action !== "flag") {
+			this.setTurn(byAI ? "player" : "ai");
+		}
+
+		// Matches between AIs aren't saved
+		if (!this.spectating) this.autoSave();
+		return changed;
+	}
+
+	/**
+	 * setTurn
+	 * Hands the move to a side of a Player vs AI or hot-seat game (turnChanged event).
+	 * @param {string} turn - "player" or "ai"
+	 */
+	setTurn(turn) {
+		if (turn === this.turn) return;
+		this.turn = turn;
+		if (this.started) this.showHotSeatTurn();
+		events.emit("turnChanged", { turn, aiMode: this.aiMode });
+	}
+
+	/**
+	 * showHotSeatTurn
+	 * Tells the players of a hot-seat game whose turn it is.
+	 */
+	showHotSeatTurn() {
+		if (this.hotSeat) statusCenter.show(`🎯 ${this.hotSeat[this.turn]}'s turn`, "playing");
+	}
+
+	/**
+	 * setAIMode
+	 * Picks the AI opponent. It takes its first turn after the player's next move,
+	 * so a move the previous AI was still thinking about is called off.
+	 * @param {string|null} mode - "easy", "medium", "hard", or null to play alone
+	 */
+	setAIMode(mode) {
+		// The AI takes over the second seat: the game goes on as Player vs AI
+		const takeOver = Boolean(mode && this.hotSeat);
+		if (takeOver) {
+			this.hotSeat = null;
+			this.owners = null;
+			this.renderer.showOwners(null);
+			this.versus.names = null;
+			this.versus.render();
+			this.updateUndoButton();
+		}
+		this.aiMode = mode;
+		this.setTurn("player");
+		events.emit("aiModeChanged", { aiMode: mode });
+		if (takeOver) this.autoSave();
+	}
+
+	/**
+	 * undo
+	 * Takes back the last move in practice mode by replaying the move log
+	 * without it. Undoing the move that lost the game resumes play.
+	 */
+	undo() {
+		if (!this.practice || this.spectating || this.hotSeat) return;
+		if (this.aiMode && this.turn === "ai") {
+			statusCenter.notify("Wait for the AI to finish its move.", "warning");
+			return;
+		}
+		if (!this.history.undo()) return;
+
+		// Nothing left: back to an untouched board with the same settings
+		if (this.history.moves.length === 0) {
+			this.initialize(this.map.w, this.map.h, this.bombs, this.seed, this.noGuess, this.map.topology);
+			statusCenter.notify("Move undone.");
+			return;
+		}
+
+		const replayed = this.history.replay();
+		this.map.loadGrid(replayed.grid);
+		this.flags = this.bombs - this.map.grid.flat().filter(cell => cell[2] === 1).length;
+
+		// Scores without the undone move
+		const scores = this.versus.active ? scoreHistory(this.history, this.versus.mineRule) : this.versus.scores;
+
+		// The undone move ended the game → keep playing
+		if (!this.started) {
+			this.versus.reopenGame(scores);
+			this.started = true;
+			this.endTime = 0;
+			this.startTimer();
+			this.replay.close();
+			this.renderer.setLocked(false);
+			showSeed("");
+			statusCenter.show("Game in progress...", "playing");
+		}
+
+		this.versus.scores = scores;
+		this.versus.render();
+		this.updateFlagCounter();
+		this.updateUndoButton();
+		statusCenter.notify("Move undone.");
+		this.autoSave();
+	}
+
+	/**
+	 * scorePendingMove
+	 * Scores the cells uncovered by the move being played in an AI game.
+	 * Runs when the move is over, or from finish() if it ended the game.
+	 */
+	scorePendingMove() {
+		if (!this.pendingScore) return;
+		const { side, before } = this.pendingScore;
+		this.pendingScore = null;
+		this.versus.score(side, movePoints(before, countUncovered(this.map), this.versus.mineRule));
+	}
+
+	/**
+	 * survivesBomb
+	 * Asked by the map when a bomb is uncovered: under the "penalty" and
+	 * "pass" mine rules of a scored game, play goes on (see versus.js).
+	 * @returns {boolean} true if the game continues
+	 */
+	survivesBomb() {
+		return this.versus.active && this.versus.mineRule !== "lose";
+	}
+
+	/**
+	 * hint
+	 * Highlights a cell that is proven safe, or the least risky one if the
+	 * player has to guess.
+	 */
+	hint() {
+		if (this.editing || this.spectating || this.online.active || (this.aiMode && this.turn !== "player")) return;
+		if (!this.started) {
+			statusCenter.notify(this.endTime ? "The game is over." : "💡 Click any cell, the first click is always safe.");
+			return;
+		}
+		const hint = findHint(snapshotOf(this.map, Number(this.bombs)));
+		if (!hint) return;
+
+		this.hints++;
+		this.renderer.showHint(hint);
+		const cell = `(${hint.x + 1}, ${hint.y + 1})`;
+		if (hint.certain) {
+			statusCenter.notify(`💡 Hint: ${cell} is safe.`);
+		} else {
+			const risk = Math.round(hint.probability * 100);
+			statusCenter.notify(`💡 Hint: no cell is proven safe, ${cell} is the least risky (${risk}% chance of a mine).`, "warning");
+		}
+		this.autoSave();
+	}
+
+	/**
+	 * scheduleOverlay
+	 * Updates the overlay once the current move is over (a move can change
+	 * many cells, each with its own "change" event).
+	 */
+	scheduleOverlay() {
+		if (this.overlayPending) return;
+		this.overlayPending = true;
+		setTimeout(() => {
+			this.overlayPending = false;
+			this.updateOverlay();
+		}, 0);
+	}
+
+	/**
+	 * updateOverlay
+	 * Shows or hides the mine probability tints. Turning them on during a
+	 * game counts as one hint.
+	 */
+	updateOverlay() {
+		// Online the overlay would be an unfair advantage
+		if (!document.getElementById("probability-overlay").checked || !this.started || this.online.active) {
+			this.renderer.showProbabilities(null);
+			return;
+		}
+		if (!this.overlayCounted) {
+			this.overlayCounted = true;
+			this.hints++;
+		}
+		const { probabilities } = computeProbabilities(snapshotOf(this.map, Number(this.bombs)));
+		this.renderer.showProbabilities(probabilities);
+	}
+
+	/**
+	 * startSpectating
+	 * Hands the fresh board over to the AIs of the spectator mode.
+	 * @param {object[]} sides - [{ side, name }] of one or two AIs
+	 */
+	startSpectating(sides) {
+		this.spectating = sides;
+		this.setAIMode(null); // no AI opponent
+		const names = sides.length === 2 ? { player: sides[0].name, ai: sides[1].name } : null;
+		this.versus.startGame(sides.length === 2, names);
+		this.renderer.setLocked(true); // the player only watches
+		this.updateUndoButton();
+		statusCenter.show(sides.map(side => side.name).join(" vs ") + " – starting...", "playing");
+	}
+
+	/**
+	 * startHotSeat
+	 * Hands the fresh board to two players sharing the screen (see hotseat.js).
+	 * The first player plays the "player" side and starts.
+	 * @param {object} names - { player, ai } names of the first and second player
+	 */
+	startHotSeat(names) {
+		this.setAIMode(null); // no AI opponent
+		this.hotSeat = names;
+		this.owners = emptyOwners(this.map.w, this.map.h);
+		this.renderer.showOwners(this.owners);
+		this.versus.startGame(true, names);
+		this.updateUndoButton();
+		statusCenter.show(`🎯 ${names.player} starts, click any cell.`, "playing");
+	}
+
+	/**
+	 * startEditing
+	 * Opens a board in the editor: every cell uncovered, the mines where the
+	 * level puts them. Nothing is played until playLevel.
+	 * @param {object} level - { width, height, topology, layout } (see level.js)
+	 */
+	startEditing({ width, height, topology, layout }) {
+		this.online.leave(); // a local board ends the online match
+		showSettings({ width, height, mines: layout.length, topology });
+		this.initialize(width, height, layout.length, "", false, topology);
+		this.editing = true;
+		this.map.loadGrid(this.map.grid.map(row => row.map(() => [0, 0, 0, 0])));
+		this.map.placeBombs(layout);
+		statusCenter.show("✏️ Editing: click a cell to place or remove a mine, then press 'Play'.", "playing");
+	}
+
+	/**
+	 * editCell
+	 * Places or removes a mine in the editor; the numbers around it follow.
+	 */
+	editCell(x, y) {
+		if (this.map.getCell(x, y, 1) === 1) {
+			this.map.removeBomb(x, y);
+			this.bombs--;
+		} else {
+			this.map.placeBomb(x, y);
+			this.bombs++;
+		}
+		this.flags = this.bombs;
+		this.updateFlagCounter();
+		showSettings({ width: this.map.w, height: this.map.h, mines: this.bombs, topology: this.map.topology });
+	}
+
+	/**
+	 * currentLevel
+	 * @returns {object|null} The board on screen as a level (see level.js),
+	 *   null while its mines aren't placed yet
+	 */
+	currentLevel() {
+		const layout = this.editing ? this.map.getBombs() : this.history.layout;
+		if (!this.editing && layout.length === 0) return null;
+		return { width: this.map.w, height: this.map.h, topology: this.map.topology, layout };
+	}
+
+	/**
+	 * playLevel
+	 * Starts a game on a hand-made board (from the editor or a level link).
+	 * @param {object} level - { width, height, topology, layout } (see level.js)
+	 */
+	playLevel({ width, height, topology, layout }) {
+		this.online.leave(); // a local board ends the online match
+		showSettings({ width, height, mines: layout.length, topology });
+		this.initialize(width, height, layout.length, "", false, topology);
+		this.level = layout;
+		statusCenter.show("🧩 Hand-made board, click any cell to start.", "playing");
+		events.emit("gameStarted", this.describeGame());
+	}
+
+	/**
+	 * stopSpectating
+	 * Ends the AI match. A game stopped halfway stays on screen, unplayable.
+	 */
+	stopSpectating() {
+		this.spectating = null;
+		if (this.started) {
+			this.started = false;
+			this.stopTimer();
+			statusCenter.show("Match stopped. Click 'Start Game' to play.", "");
+		}
+	}
+
+	/**
+	 * startOnline
+	 * Sets up the board of an online match (see online.js). The mines stay on
+	 * the server, this board only shows what the server sends.
+	 * @param {object} settings - { width, height, mines, topology } of the match
+	 */
+	startOnline({ width, height, mines, topology }) {
+		// No AI opponent, dropped before initialize() so the match isn't scored as a versus game
+		this.setAIMode(null);
+		this.initialize(width, height, mines, "", false, topology);
+		this.started = true;
+		this.startTime = Date.now();
+		this.startTimer();
+	}
+
+	/**
+	 * finishOnline
+	 * Ends an online match with the result the server decided.
+	 * @param {string} result - "win", "lose" or "draw" for this player
+	 * @param {string} seed - Seed of the board, only given away once the match is over
+	 */
+	finishOnline(result, seed) {
+		this.seed = seed;
+		if (this.started) this.finish(result);
+	}
+
+	/**
+	 * stopOnline
+	 * Ends an online match left halfway. The board stays on screen, unplayable.
+	 */
+	stopOnline() {
+		if (!this.started) return;
+		this.started = false;
+		this.stopTimer();
+		this.renderer.setLocked(true);
+	}
+
+	/**
+	 * showSpectatorMove
+	 * @param {string} message - Description of the move the AI just made
+	 */
+	showSpectatorMove(message) {
+		statusCenter.show(message, "playing");
+	}
+
+	/**
+	 * setTapMode
+	 * Chooses what a tap (or left-click) on a covered cell does.
+	 * @param {string} mode - "reveal" or "flag"
+	 */
+	setTapMode(mode) {
+		this.tapMode = mode;
+		if (this.renderer) this.renderer.tapMode = mode;
+		const button = document.getElementById("tap-mode");
+		button.textContent = mode === "flag" ? "Tap: 🚩 Flag" : "Tap: ⛏ Reveal";
+		button.setAttribute("aria-pressed", String(mode === "flag"));
+	}
+
+	/**
+	 * setTheme
+	 * Redraws the board with the icons of another theme (the colors follow by CSS).
+	 * @param {string} theme - Key of THEMES in themes.js
+	 */
+	setTheme(theme) {
+		this.theme = theme;
+		if (!this.renderer) return;
+		this.renderer.icons = THEMES[theme].icons;
+		this.renderer.updateMap();
+	}
+
+	/**
+	 * updateUndoButton
+	 * Enables the undo button when there is a move to undo in practice mode.
+	 * Hot-seat games have no undo: a move can't be taken back from the other player.
+	 */
+	updateUndoButton() {
+		const undo = document.getElementById("undo");
+		const shared = Boolean(this.spectating || this.hotSeat);
+		undo.disabled = !this.practice || shared || this.history.moves.length === 0;
+	}
+
+	/**
+	 * loadReplay
+	 * Shows an imported replay on a fresh board of its size.
+	 * @param {MoveHistory} history - Parsed replay
+	 */
+	loadReplay(history) {
+		this.online.leave(); // a local board ends the online match
+		showSettings({ width: history.w, height: history.h, mines: history.mines, topology: history.topology });
+		this.initialize(history.w, history.h, history.mines, history.seed, false, history.topology);
+		this.history = history;
+		this.renderer.setLocked(true);
+		this.replay.open(history, 0);
+		statusCenter.show("Replay loaded. Use the replay controls to step through it.", "playing");
+		showSeed(this.seed);
+	}
+
+	/**
+	 * autoSave
+	 * Saves the game in progress, or drops the save once the game is over.
+	 * @param {string} turn - "player" or "ai", whose move is next
+	 */
+	autoSave(turn = this.turn) {
+		if (this.started) {
+			saveGame(this.getState(turn));
+		} else {
+			clearSave();
+		}
+	}
+
+	/**
+	 * getState
+	 * Collects everything needed to resume the game (see save.js for the format).
+	 * @param {string} turn - "player" or "ai", whose move is next
+	 * @returns {object}
+	 */
+	getState(turn = this.turn) {
+		return {
+			version: SAVE_VERSION,
+			width: Number(this.map.w),
+			height: Number(this.map.h),
+			topology: this.map.topology,
+			bombs: Number(this.bombs),
+			flags: this.flags,
+			seed: this.seed,
+			noGuess: this.noGuess,
+			clicks: this.clicks,
+			elapsed: this.elapsed(),
+			grid: this.map.grid,
+			practice: this.practice,
+			layout: this.history.layout,
+			moves: this.history.moves,
+			aiMode: this.aiMode,
+			turn,
+			versus: this.versus.getState(),
+			hotSeat: this.hotSeat,
+			owners: this.owners ? encodeOwners(this.owners) : null,
+			level: Boolean(this.level),
+			hints: this.hints,
+			overlayCounted: this.overlayCounted,
+		};
+	}
+
+	/**
+	 * restore
+	 * Resumes a game from a saved state (see save.js).
+	 * @param {object} state - Validated save data
+	 */
+	restore(state) {
+		this.online.leave(); // a local board ends the online match
+		this.practice = Boolean(state.practice);
+		const topology = state.topology || "square";
+		showSettings({ width: state.width, height: state.height, mines: state.bombs, topology });
+		this.initialize(state.width, state.height, state.bombs, state.seed, state.noGuess, topology);
+		this.map.loadGrid(state.grid);
+		this.history.layout = state.layout || this.map.getBombs();
+		(state.moves || []).forEach(move => this.history.record(move));
+		if (state.level) this.level = this.history.layout;
+		if (state.versus) {
+			this.versus.active = Boolean(state.aiMode || state.hotSeat);
+			this.versus.restore(state.versus);
+		}
+		if (state.hotSeat) {
+			this.hotSeat = { ...state.hotSeat };
+			this.owners = state.owners ? decodeOwners(state.owners) : emptyOwners(this.map.w, this.map.h);
+			this.renderer.showOwners(this.owners);
+			this.versus.names = this.hotSeat;
+			this.versus.render();
+		}
+
+		this.started = true;
+		this.flags = state.flags;
+		this.clicks = state.clicks;
+		this.hints = state.hints || 0;
+		this.overlayCounted = Boolean(state.overlayCounted);
+		this.startTime = Date.now() - state.elapsed;
+		this.startTimer();
+
+		// Show the restored settings (board size is shown above)
+		document.getElementById("practice-mode").checked = this.practice;
+
+		this.updateFlagCounter();
+		this.updateTimer();
+		this.updateMoveCounter();
+		this.updateUndoButton();
+		this.updateOverlay();
+		statusCenter.show("Game in progress...", "playing");
+		statusCenter.notify("Saved game restored.", "success");
+
+		// Give the AI its mode back (and its move, if it was the AI's turn)
+		this.setAIMode(state.aiMode || null);
+		events.emit("gameStarted", this.describeGame());
+		if ((this.aiMode || this.hotSeat) && state.turn === "ai") this.setTurn("ai");
+		this.showHotSeatTurn();
+		this.autoSave(); // initialize() cleared the save slot
+	}
+
+	/**
+	 * newGame
+	 * Sets up a fresh board and announces it (gameStarted event).
+	 * @param {object} options - { width, height, mines, seed, noGuess, topology }
+	 */
+	newGame({ width, height, mines, seed = "", noGuess = false, topology = "square" }) {
+		this.online.leave(); // a local board ends the online match
+		this.initialize(width, height, mines, seed, noGuess, topology);
+		events.emit("gameStarted", this.describeGame());
+	}
+
+	/**
+	 * describeGame
+	 * @returns {object} Settings of the current board, as sent with gameStarted
+	 */
+	describeGame() {
+		return {
+			width: this.map.w,
+			height: this.map.h,
+			mines: Number(this.bombs),
+			seed: this.seed,
+			topology: this.map.topology,
+			aiMode: this.aiMode,
+		};
 	}
 
 	/**
@@ -144,10 +944,14 @@ class Game {
 	 * Reads user input values and initializes the game board.
 	 */
 	createMap() {
-		const gridWidth = document.getElementById("grid-width");
-		const gridHeight = document.getElementById("grid-height");
-		const bombCount = document.getElementById("bomb-count");
-		this.initialize(gridWidth.value, gridHeight.value, bombCount.value);
+		// Returns true if a new board was set up
+		const settings = readSettings(); // shows what is wrong next to the form
+		if (!settings) return false;
+		const seed = document.getElementById("seed");
+		const noGuess = document.getElementById("no-guess");
+		this.practice = document.getElementById("practice-mode").checked;
+		this.newGame({ ...settings, seed: seed.value.trim(), noGuess: noGuess.checked });
+		return true;
 	}
 
 	/**
@@ -160,44 +964,144 @@ class Game {
 		this.started = true;
 		this.flags = this.bombs;
 
-		// Generate bombs ensuring first click is safe
-		this.map.generateBombs(this.bombs, startX, startY);
+		// Start the clock
+		this.startTime = Date.now();
+		this.startTimer();
+
+		// Generate bombs ensuring first click is safe.
+		// Same seed + same first click → same layout.
+		const random = createRandom(this.seed);
+		let guessFree = true;
+		if (this.level) {
+			this.map.placeBombs(this.level); // hand-made board, the mines stay where they were put
+		} else if (this.noGuess) {
+			guessFree = this.map.generateNoGuessBombs(this.bombs, startX, startY, random);
+		} else {
+			this.map.generateBombs(this.bombs, startX, startY, random);
+		}
 		this.map.updateMap();
+		this.history.layout = this.map.getBombs();
 
-		setStatus("Game in progress...", "playing");
+		statusCenter.show("Game in progress...", "playing");
+		if (!guessFree) {
+			statusCenter.notify("No guess-free board found in time, this one may need a guess.", "warning");
+		}
 	}
 
+	/**
+	 * finish
+	 * Ends the game, stops the clock and records the result.
+	 * In AI games the result is turned into the player's result (see versus.js),
+	 * in hot-seat games into the first player's.
+	 * @param {string} result - "win" (board cleared), "lose" (bomb hit) or
+	 *   anything else for a neutral ending
+	 */
 	finish(result) {
 		this.started = false;
+		this.stopTimer();
+		this.endTime = Date.now();
+		this.updateTimer();
 
-		// Reset AI state when game ends
-		if (typeof window.currentTurn !== 'undefined') {
-			window.currentTurn = "player";
-		}
-		if (typeof window.aiThinking !== 'undefined') {
-			window.aiThinking = false;
-		}
-
-		// Clear AI overlay if present
-		const overlay = document.getElementById("ai-thinking-overlay");
-		if (overlay) {
-			overlay.style.display = "none";
-		}
+		// The next game starts with the player
+		this.setTurn("player");
 
 		// disable all cells so no more clicks
-		const grid = document.getElementById("minesweeper-grid");
-		const buttons = grid.querySelectorAll("button");
-		buttons.forEach((btn) => (btn.disabled = true));
+		this.renderer.setLocked(true);
 
-		// display result message with restart option
-		if (result === "win") {
-			setStatus("😎 You won! Click 'Start Game' to play again.", "won");
+		// Against the AI the winner depends on who hit the mine, or on points
+		let winner = null;
+		if (this.versus.active) {
+			const mover = this.pendingScore ? this.pendingScore.side : "player";
+			this.scorePendingMove();
+			winner = this.versus.finishGame(result, mover);
+			if (result === "lose") this.map.revealBombs();
+			// Someone at the screen won a hot-seat game, whichever side it was
+			const won = this.hotSeat ? winner !== null : winner === "player";
+			statusCenter.show(this.versus.resultMessage(result, mover, winner), won ? "won" : "lost");
+			// The player's result is what goes into statistics and the leaderboard
+			result = winner === "player" ? "win" : winner === "ai" ? "lose" : "draw";
+		} else if (this.spectating) {
+			const name = this.spectating[0].name;
+			if (result === "lose") this.map.revealBombs();
+			statusCenter.show(result === "win" ? `🏆 ${name} cleared the board!` : `💥 ${name} hit a mine.`, result === "win" ? "won" : "lost");
+		} else if (result === "win") {
+			statusCenter.show("😎 You won! Click 'Start Game' to play again.", "won");
 		} else if (result === "lose") {
 			this.map.revealBombs();
-			setStatus("💥 You lost! Click 'Start Game' to play again.", "lost");
+			statusCenter.show("💥 You lost! Click 'Start Game' to play again.", "lost");
 		} else {
-			setStatus("Game over! Click 'Start Game' to play again.", "lost");
+			statusCenter.show("Game over! Click 'Start Game' to play again.", "lost");
+		}
+		// A hot-seat game won by either seat was won by someone at the screen
+		if (result === "win" || (this.hotSeat && winner)) this.sounds.win();
+		else if (result === "lose") this.sounds.lose();
+		showSeed(this.level ? "" : this.seed); // the seed didn't place the mines of a hand-made board
+		if (this.hints > 0) statusCenter.append(`💡 Hints used: ${this.hints}.`);
+		this.renderer.showHint(null);
+		this.updateOverlay(); // the game is over, nothing left to tint
+
+		// Keep a record of won and lost games for the statistics panel
+		// (practice games with undo, AI vs AI matches, hot-seat games, online matches
+		// and hand-made boards don't count)
+		const counted = !this.practice && !this.spectating && !this.hotSeat && !this.online.active && !this.level;
+		if ((result === "win" || result === "lose" || result === "draw") && counted) {
+			const record = {
+				date: new Date(this.endTime).toISOString(),
+				width: Number(this.map.w),
+				height: Number(this.map.h),
+				mines: Number(this.bombs),
+				topology: this.map.topology,
+				time: this.elapsed(),
+				clicks: this.clicks,
+				bbbv: this.map.get3BV(),
+				hints: this.hints,
+				result,
+				aiMode: this.aiMode,
+				seed: this.seed,
+			};
+			recordGame(record);
+			renderStats(document.getElementById("stats-panel"));
+
+			// Ask for a name if the time makes the leaderboard
+			// (only without hints)
+			if (result === "win" && this.hints === 0) offerNameEntry(record);
 		}
+
+		events.emit("gameFinished", {
+			result,
+			winner,
+			time: this.elapsed(),
+			clicks: this.clicks,
+			hints: this.hints,
+			seed: this.seed,
+		});
+	}
+
+	/**
+	 * elapsed
+	 * @returns {number} milliseconds since the first click (0 before it)
+	 */
+	elapsed() {
+		if (!this.startTime) return 0;
+		return (this.endTime || Date.now()) - this.startTime;
+	}
+
+	/**
+	 * startTimer
+	 * Refreshes the timer display every second.
+	 */
+	startTimer() {
+		this.stopTimer();
+		this.timer = setInterval(() => this.updateTimer(), 1000);
+	}
+
+	/**
+	 * stopTimer
+	 * Stops refreshing the timer display.
+	 */
+	stopTimer() {
+		clearInterval(this.timer);
+		this.timer = undefined;
 	}
 
 	/**
@@ -237,8 +1141,39 @@ class Game {
 		const flagCounter = document.getElementById("flag-counter");
 		flagCounter.value = this.flags;
 	}
+
+	/**
+	 * updateTimer
+	 * Updates the HTML input that shows elapsed seconds
+	 */
+	updateTimer() {
+		const timer = document.getElementById("timer");
+		timer.value = Math.floor(this.elapsed() / 1000);
+	}
+
+	/**
+	 * updateMoveCounter
+	 * Updates the HTML input that shows the number of player clicks
+	 */
+	updateMoveCounter() {
+		const moveCounter = document.getElementById("move-counter");
+		moveCounter.value = this.clicks;
+	}
 }
 
 // --- Initialize global game instance ---
 const GAME = new Game();
-GAME.initialize(); // default 10x10 with 10 bombs
+
+// Public API for the AI opponent, add-ons and outside bots (see api.js),
+// in place before a saved game hands the AI its turn
+window.minesweeper = createAPI(GAME);
+
+// A level link (see editor.js) comes before the saved game
+if (!GAME.editor.openLink()) {
+	const SAVED = loadSave();
+	if (SAVED) {
+		GAME.restore(SAVED); // resume the game from before the refresh
+	} else {
+		GAME.initialize(); // default 10x10 with 10 bombs
+	}
+}
@@ -0,0 +1,161 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: history.js
+ * Description: Move log of a game, used for undo, replays and replay files.
+ * Inputs/Outputs:
+ *   - Inputs: every move made on the board (who, what, where, when) and the bomb layout
+ *   - Outputs: board states after any number of moves, compact replay text
+ * External Sources: Map class imported from ./map.js, TOPOLOGIES from ./topology.js,
+ *   layout bitmaps from ./level.js, MIN_SIZE/MAX_SIZE from ./settings.js
+ *
+ * Move format:
+ *   { by, action, x, y, time }
+ *   by     → "player" or "ai"
+ *   action → "reveal", "flag" or "chord"
+ *   time   → milliseconds since the first move
+ *
+ * Replay text format (two lines):
+ *   MSR1 <width>x<height> <mines> <seed> <layout> [<topology>]
+ *   <move> <move> ...
+ *   - seed is URI-encoded so it never contains spaces
+ *   - topology is left out for classic boards (older replays never have it)
+ *   - layout is the bomb bitmap in hex, row by row, 4 cells per digit
+ *   - each move is <who><action><x>,<y>@<time>, who = P (player) / A (AI),
+ *     action = r (reveal) / f (flag) / c (chord), e.g. "Pr3,4@0 Af5,6@1200"
+ */
+
+import { Map } from "./map.js";
+import { TOPOLOGIES } from "./topology.js";
+import { encodeLayout, decodeLayout } from "./level.js";
+import { MIN_SIZE, MAX_SIZE } from "./settings.js";
+
+const ACTION_CODES = { reveal: "r", flag: "f", chord: "c" };
+const BY_CODES = { player: "P", ai: "A" };
+
+// Find the key of an object whose value is code
+function decode(codes, code) {
+	return Object.keys(codes).find(key => codes[key] === code);
+}
+
+// MOVE HISTORY CLASS 📜 ——————————————————————————————————————————————————————————————————————————
+export class MoveHistory {
+	/**
+	 * @param {number} width - Board width
+	 * @param {number} height - Board height
+	 * @param {number} mines - Number of bombs
+	 * @param {string} seed - Seed of the board
+	 * @param {string} topology - Board topology (see topology.js)
+	 */
+	constructor(width, height, mines, seed = "", topology = "square") {
+		this.w = Number(width);
+		this.h = Number(height);
+		this.mines = Number(mines);
+		this.seed = seed;
+		this.topology = topology;
+		this.layout = []; // [x, y] of every bomb, set once bombs are placed
+		this.moves = [];
+	}
+
+	/**
+	 * Add a move to the log.
+	 * @param {object} move - { by, action, x, y, time } (see move format)
+	 */
+	record(move) {
+		this.moves.push(move);
+	}
+
+	/**
+	 * Remove and return the last move.
+	 * @returns {object|undefined}
+	 */
+	undo() {
+		return this.moves.pop();
+	}
+
+	/**
+	 * Rebuild the board as it was after the first `count` moves.
+	 * Nothing outside the returned map is touched (no turns, no game over).
+	 * @param {number} count - Number of moves to apply (defaults to all)
+	 * @returns {Map} Board in that state
+	 */
+	replay(count = this.moves.length) {
+		// Stand-in for Game: flags are unlimited, start/finish are no-ops
+		const game = {
+			started: true,
+			start() {},
+			finish() {},
+			placeFlag: () => true,
+			removeFlag: () => true,
+		};
+		const map = new Map(this.w, this.h, game, this.topology);
+		map.placeBombs(this.layout);
+
+		this.moves.slice(0, count).forEach(({ action, x, y }) => {
+			if (action === "reveal") {
+				map.reveal(x, y);
+			} else if (action === "flag") {
+				map.cellRightClicked(x, y);
+			} else if (action === "chord") {
+				map.chord(x, y);
+			}
+		});
+		return map;
+	}
+
+	/**
+	 * Encode the history in the compact replay text format.
+	 * @returns {string}
+	 */
+	toText() {
+		const layout = encodeLayout(this.w, this.h, this.layout);
+		let header = `MSR1 ${this.w}x${this.h} ${this.mines} ${encodeURIComponent(this.seed) || "-"} ${layout}`;
+		if (this.topology !== "square") header += ` ${this.topology}`;
+		const moves = this.moves.map(m => `${BY_CODES[m.by]}${ACTION_CODES[m.action]}${m.x},${m.y}@${m.time}`);
+		return `${header}\n${moves.join(" ")}`;
+	}
+
+	/**
+	 * Parse replay text produced by toText.
+	 * @param {string} text - Replay text
+	 * @returns {MoveHistory}
+	 * @throws {Error} if the text is not a valid replay
+	 */
+	static fromText(text) {
+		const [header = "", moveLine = ""] = text.trim().split(/\r?\n/);
+		const match = header.match(/^MSR1 (\d+)x(\d+) (\d+) (\S+) ([0-9a-f]*)(?: (\w+))?$/);
+		if (!match) throw new Error("This is not a Minesweeper replay.");
+
+		const [, width, height, mines, seed, layout, topology = "square"] = match;
+		if (![width, height].every(size => Number(size) >= MIN_SIZE && Number(size) <= MAX_SIZE)) {
+			throw new Error(`Replay boards must be from ${MIN_SIZE}x${MIN_SIZE} to ${MAX_SIZE}x${MAX_SIZE} cells.`);
+		}
+		if (!Object.hasOwn(TOPOLOGIES, topology)) throw new Error(`Unknown board type in replay: ${topology}`);
+		let decodedSeed = "";
+		try {
+			if (seed !== "-") decodedSeed = decodeURIComponent(seed);
+		} catch (e) {
+			throw new Error("This is not a valid replay: its seed is garbled.");
+		}
+		const history = new MoveHistory(width, height, mines, decodedSeed, topology);
+		const bombs = decodeLayout(history.w, history.h, layout);
+		if (!bombs) throw new Error("The replay's bomb layout doesn't match its board size.");
+		history.layout = bombs;
+
+		moveLine.split(/\s+/).filter(Boolean).forEach(token => {
+			const move = token.match(/^([PA])([rfc])(\d+),(\d+)@(\d+)$/);
+			if (!move) throw new Error(`Invalid move in replay: ${token}`);
+			const x = Number(move[3]);
+			const y = Number(move[4]);
+			if (x >= history.w || y >= history.h) throw new Error(`Move outside the board: ${token}`);
+			history.record({
+				by: decode(BY_CODES, move[1]),
+				action: decode(ACTION_CODES, move[2]),
+				x,
+				y,
+				time: Number(move[5]),
+			});
+		});
+		return history;
+	}
+}
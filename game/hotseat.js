@@ -0,0 +1,95 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: hotseat.js
+ * Description: Hot-seat mode: two people take turns on one screen.
+ * Inputs/Outputs:
+ *   - Inputs: the two names and the start button of the hot-seat panel
+ *   - Outputs: a new board handed to Game.startHotSeat, names remembered in localStorage
+ * External Sources: None (custom implementation)
+ *
+ * The first player plays the "player" side of the board and the second the
+ * "ai" side, the same way as the two AIs of the spectator mode, so versus
+ * scoring, mine rules, series and the move log work as in a Player vs AI game.
+ * Every uncovered cell remembers which side uncovered it (owners), and the
+ * renderer colors it for that player.
+ *
+ * Owners in saves: one string per row, "." for a cell nobody uncovered,
+ * "1" for the first player and "2" for the second.
+ *
+ * DOM element requirements:
+ *  - #hotseat-first and #hotseat-second name inputs
+ *  - #hotseat-start button
+ */
+
+const STORAGE_KEY = "minesweeper-hotseat";
+const MAX_NAME_LENGTH = 20;
+const OWNER_CODES = { player: "1", ai: "2" };
+
+/**
+ * A board's worth of owners, nobody's yet.
+ * @returns {Array<Array<string|null>>} owners[y][x] = "player", "ai" or null
+ */
+export function emptyOwners(width, height) {
+	return Array.from({ length: height }, () => Array(width).fill(null));
+}
+
+/**
+ * @param {Array<Array<string|null>>} owners - From emptyOwners
+ * @returns {string[]} Rows in the save format above
+ */
+export function encodeOwners(owners) {
+	return owners.map(row => row.map(owner => OWNER_CODES[owner] || ".").join(""));
+}
+
+/**
+ * @param {string[]} rows - Rows in the save format above (already validated)
+ * @returns {Array<Array<string|null>>}
+ */
+export function decodeOwners(rows) {
+	const sides = Object.fromEntries(Object.entries(OWNER_CODES).map(([side, code]) => [code, side]));
+	return rows.map(row => [...row].map(code => sides[code] || null));
+}
+
+// HOT SEAT CLASS 🪑 ——————————————————————————————————————————————————————————————————————————————
+export class HotSeat {
+	/**
+	 * @param {Game} game - Game whose board the players share
+	 */
+	constructor(game) {
+		this.game = game;
+		this.first = document.getElementById("hotseat-first");
+		this.second = document.getElementById("hotseat-second");
+
+		// Names from last time
+		try {
+			const names = JSON.parse(localStorage.getItem(STORAGE_KEY));
+			if (names) {
+				this.first.value = names.player || "";
+				this.second.value = names.ai || "";
+			}
+		} catch (e) {
+			// Unreadable or unavailable, start with empty names
+		}
+
+		document.getElementById("hotseat-start").addEventListener("click", () => this.start());
+	}
+
+	/**
+	 * Start a new board from the settings panel for the two named players.
+	 */
+	start() {
+		const clean = input => input.value.trim().slice(0, MAX_NAME_LENGTH);
+		const names = { player: clean(this.first) || "Player 1", ai: clean(this.second) || "Player 2" };
+		// The same name twice still needs two names
+		if (names.player === names.ai) names.ai += " 2";
+		if (!this.game.createMap()) return;
+
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(names));
+		} catch (e) {
+			// Storage full or unavailable, the names just won't be remembered
+		}
+		this.game.startHotSeat(names);
+	}
+}
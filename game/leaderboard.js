@@ -0,0 +1,203 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: leaderboard.js
+ * Description: Local high-score tables, one per board configuration and mode.
+ * Inputs/Outputs:
+ *   - Inputs: winning times, player names from the name entry form,
+ *     mode/board selections in the leaderboard view
+ *   - Outputs: top-10 tables persisted in localStorage and drawn in the settings panel
+ * External Sources: configKey, describeConfig and formatTime from ./stats.js
+ *
+ * Storage format:
+ *   { [mode]: { [configKey]: [{ name, time, date }, ...] } }
+ *   mode is "solo" or the AI difficulty ("easy" / "medium" / "hard") the game
+ *   was played against, configKey is e.g. "10x10/10". Entries are sorted by time.
+ *
+ * DOM element requirements:
+ *  - #name-entry form with #player-name input (shown after a qualifying win)
+ *  - #leaderboard-mode and #leaderboard-config selects, #leaderboard-table container
+ */
+
+import { configKey, describeConfig, formatTime } from "./stats.js";
+
+const STORAGE_KEY = "minesweeper-leaderboard";
+const NAME_KEY = "minesweeper-player-name"; // last name entered, to prefill the form
+const TABLE_SIZE = 10;
+
+export const MODES = {
+	solo: "Solo",
+	easy: "vs AI Easy",
+	medium: "vs AI Medium",
+	hard: "vs AI Hard",
+};
+
+/**
+ * Read the stored leaderboard.
+ * @returns {object} See storage format above
+ */
+export function loadLeaderboard() {
+	try {
+		const board = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return board && typeof board === "object" ? board : {};
+	} catch (e) {
+		return {};
+	}
+}
+
+function saveLeaderboard(board) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(board));
+	} catch (e) {
+		// Storage full or unavailable, scores just aren't kept
+	}
+}
+
+/**
+ * Get the sorted top entries for one table.
+ * @param {string} mode - Key of MODES
+ * @param {string} key - Board configuration key (see configKey)
+ * @returns {object[]} [{ name, time, date }]
+ */
+export function getScores(mode, key) {
+	const board = loadLeaderboard();
+	return (board[mode] && board[mode][key]) || [];
+}
+
+/**
+ * Check if a time would make it into a table.
+ * @returns {boolean}
+ */
+export function qualifies(mode, key, time) {
+	const scores = getScores(mode, key);
+	return scores.length < TABLE_SIZE || time < scores[scores.length - 1].time;
+}
+
+/**
+ * Add a winning time to a table, keeping only the best TABLE_SIZE entries.
+ * @returns {number} 1-based rank of the new entry, or 0 if it didn't make the table
+ */
+export function addScore(mode, key, entry) {
+	const board = loadLeaderboard();
+	if (!board[mode]) board[mode] = {};
+	const scores = (board[mode][key] || []).concat([entry]);
+	scores.sort((a, b) => a.time - b.time);
+	board[mode][key] = scores.slice(0, TABLE_SIZE);
+	saveLeaderboard(board);
+	return board[mode][key].indexOf(entry) + 1;
+}
+
+/**
+ * Draw one table into the leaderboard view.
+ */
+export function renderLeaderboard(mode, key) {
+	const container = document.getElementById("leaderboard-table");
+	container.innerHTML = "";
+
+	const scores = getScores(mode, key);
+	if (scores.length === 0) {
+		const p = document.createElement("p");
+		p.textContent = "No wins yet.";
+		container.appendChild(p);
+		return;
+	}
+
+	const table = document.createElement("table");
+	const header = table.insertRow();
+	["#", "Name", "Time"].forEach(text => {
+		const th = document.createElement("th");
+		th.textContent = text;
+		header.appendChild(th);
+	});
+	scores.forEach((score, i) => {
+		const row = table.insertRow();
+		[i + 1, score.name, formatTime(score.time)].forEach(text => {
+			row.insertCell().textContent = text;
+		});
+	});
+	container.appendChild(table);
+}
+
+/**
+ * Fill the board selector with every configuration that has scores for the
+ * selected mode (plus the given one), then draw the selected table.
+ * @param {string} key - Configuration to select, e.g. the current board
+ */
+export function showLeaderboard(mode, key) {
+	const modeSelect = document.getElementById("leaderboard-mode");
+	const configSelect = document.getElementById("leaderboard-config");
+	modeSelect.value = mode;
+
+	const keys = new Set(Object.keys(loadLeaderboard()[mode] || {}));
+	keys.add(key);
+	configSelect.innerHTML = "";
+	[...keys].sort().forEach(k => {
+		const option = document.createElement("option");
+		option.value = k;
+		const { size, mines, topology } = describeConfig(k);
+		option.textContent = `${size}, ${mines} mines` + (k.includes(" ") ? `, ${topology}` : "");
+		configSelect.appendChild(option);
+	});
+	configSelect.value = key;
+	renderLeaderboard(mode, key);
+}
+
+/**
+ * Wire up the leaderboard view in the settings panel.
+ * @param {function} currentKey - Returns the configuration key of the current board
+ */
+export function setupLeaderboard(currentKey) {
+	const modeSelect = document.getElementById("leaderboard-mode");
+	const configSelect = document.getElementById("leaderboard-config");
+
+	Object.entries(MODES).forEach(([mode, label]) => {
+		const option = document.createElement("option");
+		option.value = mode;
+		option.textContent = label;
+		modeSelect.appendChild(option);
+	});
+
+	modeSelect.addEventListener("change", () => showLeaderboard(modeSelect.value, currentKey()));
+	configSelect.addEventListener("change", () => renderLeaderboard(modeSelect.value, configSelect.value));
+	showLeaderboard("solo", currentKey());
+}
+
+/**
+ * After a win, ask for a name if the time makes it into the table.
+ * @param {object} game - { width, height, mines, topology, time, aiMode } of the won game
+ */
+export function offerNameEntry({ width, height, mines, topology, time, aiMode }) {
+	const mode = aiMode || "solo";
+	const key = configKey(width, height, mines, topology);
+	if (!qualifies(mode, key, time)) return;
+
+	const form = document.getElementById("name-entry");
+	const input = document.getElementById("player-name");
+	try {
+		input.value = localStorage.getItem(NAME_KEY) || "";
+	} catch (e) {
+		input.value = "";
+	}
+	form.hidden = false;
+	input.focus();
+
+	form.onsubmit = (e) => {
+		e.preventDefault();
+		const name = input.value.trim() || "Anonymous";
+		try {
+			localStorage.setItem(NAME_KEY, name);
+		} catch (err) {
+			// Name just won't be remembered
+		}
+		addScore(mode, key, { name, time, date: new Date().toISOString() });
+		form.hidden = true;
+		showLeaderboard(mode, key);
+	};
+}
+
+/**
+ * Hide the name entry form (e.g. when a new game starts without saving).
+ */
+export function hideNameEntry() {
+	document.getElementById("name-entry").hidden = true;
+}
@@ -0,0 +1,175 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: level.js
+ * Description: Hand-made boards (levels): a readable text format and a compact
+ *   URL fragment to share them. Runs headless, so levels also work as test fixtures.
+ * Inputs/Outputs:
+ *   - Inputs: levels { width, height, topology, layout }, level text, URL fragments
+ *   - Outputs: level text, URL fragments, parsed levels (or readable errors)
+ * External Sources: TOPOLOGIES from ./topology.js, MIN_SIZE/MAX_SIZE from ./settings.js
+ *
+ * Level format:
+ *   { width, height, topology, layout }
+ *   layout → [x, y] of every mine, like Map.getBombs
+ *
+ * Level text format:
+ *   # Tutorial 1: counting neighbors      ← comments, anywhere, ignored
+ *   MSL1 5x5 [<topology>]                  ← topology is left out for classic boards
+ *   .....
+ *   .*...                                  ← one line per row,
+ *   .....                                    "." = safe cell, "*" = mine
+ *   ...*.
+ *   .....
+ *
+ * URL fragment format:
+ *   #level=<width>x<height>[-<topology>]-<layout>
+ *   layout is the mine bitmap in hex, row by row, 4 cells per digit
+ *   (the same as in replay files, see history.js), e.g. "#level=5x5-0200200"
+ *   for the level above
+ */
+
+import { TOPOLOGIES } from "./topology.js";
+import { MIN_SIZE, MAX_SIZE } from "./settings.js";
+
+const HEADER = "MSL1";
+const FRAGMENT_KEY = "level=";
+const MINE = "*";
+const SAFE = ".";
+
+/**
+ * Encode a mine layout as a hex bitmap, row by row, 4 cells per digit.
+ * @param {number[][]} layout - [x, y] of every mine
+ * @returns {string}
+ */
+export function encodeLayout(width, height, layout) {
+	const mines = new Set(layout.map(([x, y]) => y * width + x));
+	let bits = "";
+	for (let i = 0; i < width * height; i++) bits += mines.has(i) ? "1" : "0";
+	while (bits.length % 4 !== 0) bits += "0";
+	let hex = "";
+	for (let i = 0; i < bits.length; i += 4) {
+		hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+	}
+	return hex;
+}
+
+/**
+ * Decode a hex bitmap from encodeLayout.
+ * @param {string} hex - Bitmap, exactly as many digits as the board needs
+ * @returns {number[][]|null} [x, y] of every mine, or null if hex doesn't fit the board
+ */
+export function decodeLayout(width, height, hex) {
+	if (!/^[0-9a-f]*$/.test(hex) || hex.length !== Math.ceil((width * height) / 4)) return null;
+	const bits = [...hex].map(digit => parseInt(digit, 16).toString(2).padStart(4, "0")).join("");
+	const layout = [];
+	for (let i = 0; i < width * height; i++) {
+		if (bits[i] === "1") layout.push([i % width, Math.floor(i / width)]);
+	}
+	return layout;
+}
+
+/**
+ * Check the size and topology of a level.
+ * @throws {Error} with a readable message if the board can't be played here
+ */
+function checkBoard(width, height, topology) {
+	if (![width, height].every(size => Number.isInteger(size) && size >= MIN_SIZE && size <= MAX_SIZE)) {
+		throw new Error(`Level boards must be from ${MIN_SIZE}x${MIN_SIZE} to ${MAX_SIZE}x${MAX_SIZE} cells.`);
+	}
+	if (!Object.hasOwn(TOPOLOGIES, topology)) throw new Error(`Unknown board type in level: ${topology}.`);
+}
+
+/**
+ * Check that a level can be played: at least one mine and one safe cell.
+ * Levels being edited may have neither, this is for starting a game on them.
+ * @param {object} level - See level format
+ * @throws {Error} with a readable message if the level can't be played
+ */
+export function checkPlayable({ width, height, layout }) {
+	if (layout.length === 0) throw new Error("The level needs at least one mine.");
+	if (layout.length >= width * height) throw new Error("The level needs at least one cell without a mine.");
+}
+
+/**
+ * Write a level in the level text format.
+ * @param {object} level - See level format
+ * @param {string} comment - Optional first line, e.g. the level's name
+ * @returns {string}
+ */
+export function levelToText({ width, height, topology, layout }, comment = "") {
+	const rows = Array.from({ length: height }, () => Array(width).fill(SAFE));
+	layout.forEach(([x, y]) => (rows[y][x] = MINE));
+
+	let header = `${HEADER} ${width}x${height}`;
+	if (topology !== "square") header += ` ${topology}`;
+	const lines = [header, ...rows.map(row => row.join(""))];
+	if (comment) lines.unshift(`# ${comment}`);
+	return lines.join("\n");
+}
+
+/**
+ * Read a level written in the level text format.
+ * @param {string} text - Level text
+ * @returns {object} The level (see level format)
+ * @throws {Error} if the text is not a valid level
+ */
+export function levelFromText(text) {
+	const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+	const match = (lines[0] || "").match(/^MSL1 (\d+)x(\d+)(?: (\w+))?$/);
+	if (!match) throw new Error("This is not a Minesweeper level.");
+
+	const width = Number(match[1]);
+	const height = Number(match[2]);
+	const topology = match[3] || "square";
+	checkBoard(width, height, topology);
+
+	const rows = lines.slice(1);
+	if (rows.length !== height) {
+		throw new Error(`The level has ${rows.length} rows, its header says ${height}.`);
+	}
+	const layout = [];
+	rows.forEach((row, y) => {
+		if (row.length !== width || !/^[.*]*$/.test(row)) {
+			throw new Error(`Row ${y + 1} of the level must be ${width} cells of "${SAFE}" or "${MINE}".`);
+		}
+		[...row].forEach((cell, x) => {
+			if (cell === MINE) layout.push([x, y]);
+		});
+	});
+	return { width, height, topology, layout };
+}
+
+/**
+ * Build the URL fragment that shares a level.
+ * @param {object} level - See level format
+ * @returns {string} Fragment, "#" included
+ */
+export function levelToFragment({ width, height, topology, layout }) {
+	const board = topology === "square" ? `${width}x${height}` : `${width}x${height}-${topology}`;
+	return `#${FRAGMENT_KEY}${board}-${encodeLayout(width, height, layout)}`;
+}
+
+/**
+ * Read the level out of a URL fragment.
+ * @param {string} hash - e.g. location.hash
+ * @returns {object|null} The level, or null if the fragment doesn't hold one
+ * @throws {Error} if the fragment holds a level that isn't valid or can't be played
+ */
+export function levelFromFragment(hash) {
+	const fragment = hash.replace(/^#/, "");
+	if (!fragment.startsWith(FRAGMENT_KEY)) return null;
+
+	const match = fragment.slice(FRAGMENT_KEY.length).match(/^(\d+)x(\d+)(?:-(\w+))?-([0-9a-f]*)$/);
+	if (!match) throw new Error("The level link is incomplete.");
+	const width = Number(match[1]);
+	const height = Number(match[2]);
+	const topology = match[3] || "square";
+	checkBoard(width, height, topology);
+
+	const layout = decodeLayout(width, height, match[4]);
+	if (!layout) throw new Error("The level link's mines don't match its board size.");
+	const level = { width, height, topology, layout };
+	checkPlayable(level);
+	return level;
+}
@@ -0,0 +1,361 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: lobby.js
+ * Description: One online match between two players, as run by the server (server.js).
+ *   The lobby holds the real boards, so where the mines are never leaves the
+ *   server before the match is over.
+ * Inputs/Outputs:
+ *   - Inputs: players joining/leaving/reconnecting and their moves
+ *   - Outputs: messages to each player (see "Server messages" below)
+ * External Sources: Map class from ./map.js, createRandom from ./random.js,
+ *   COVERED/FLAGGED from ./solver.js, Emitter from ./emitter.js
+ *
+ * Modes:
+ *   turns → one shared board, the players take turns. Every safe cell a move
+ *           uncovers is a point for the mover; flags don't end the turn.
+ *           Hitting a mine loses, a cleared board goes to whoever has more points.
+ *   race  → both players get the same board and play at the same time. Clearing
+ *           it first wins, hitting a mine loses. Players only see their own
+ *           board and the opponent's progress.
+ * Both modes start with the center cell uncovered (it is never a mine), so
+ * neither player has to make a blind first click.
+ *
+ * Cells are sent as [x, y, value] triples, value being a number (0-8),
+ * COVERED (-1), FLAGGED (-2) or MINE (-3, an uncovered mine).
+ *
+ * Server messages (players[] = [{ name, connected, points, progress }]):
+ *   joined   { code, token, seat, mode }    → seat taken, token is for resuming
+ *   state    { status, code, mode, width, height, mines, topology, seat,
+ *              players, turn, cells }       → everything a player can see
+ *                                             (sent on start and on resume)
+ *   update   { cells, by, turn, players }  → what a move changed
+ *   players  { players }                    → someone (dis)connected
+ *   finished { winner, reason, seed, layout, players }
+ *                                           → winner is a seat (null for a draw),
+ *                                             reason "mine" / "cleared" / "forfeit" /
+ *                                             "left", layout the [x, y] of every mine
+ *
+ * Events (see Emitter):
+ *   "closed" → nobody is left in the lobby, the server can drop it
+ */
+
+import { Map } from "./map.js";
+import { createRandom } from "./random.js";
+import { COVERED, FLAGGED } from "./solver.js";
+import { Emitter } from "./emitter.js";
+
+export const MODES = { turns: "Take turns", race: "Race" };
+export const MINE = -3; // uncovered mine
+
+const ACTIONS = ["reveal", "flag", "chord"];
+const MAX_NAME_LENGTH = 20;
+// Milliseconds a disconnected player has to come back before forfeiting
+export const RECONNECT_GRACE = 60000;
+
+// Stand-in for Game: the lobby decides what ends the match, flags are unlimited
+const RULES_ONLY = { started: true, start() {}, finish() {}, placeFlag: () => true, removeFlag: () => true };
+
+/**
+ * What a player sees of a cell.
+ * @param {Map} board - Board the cell is on
+ * @returns {number} Number, COVERED, FLAGGED or MINE
+ */
+function viewOf(board, x, y) {
+	if (board.getCell(x, y, 3) === 1) return board.getCell(x, y, 2) === 1 ? FLAGGED : COVERED;
+	return board.getCell(x, y, 1) === 1 ? MINE : board.getCell(x, y, 0);
+}
+
+// Every cell that isn't plainly covered, as [x, y, value] triples
+function visibleCells(board) {
+	const cells = [];
+	for (let y = 0; y < board.h; y++) {
+		for (let x = 0; x < board.w; x++) {
+			const value = viewOf(board, x, y);
+			if (value !== COVERED) cells.push([x, y, value]);
+		}
+	}
+	return cells;
+}
+
+// LOBBY CLASS 🤝 ——————————————————————————————————————————————————————————————————————————————————
+export class Lobby extends Emitter {
+	/**
+	 * @param {string} code - Code players join with
+	 * @param {object} settings - { mode, width, height, mines, topology }, already validated
+	 * @param {string} seed - Seed of the board, kept secret until the match ends
+	 */
+	constructor(code, { mode, width, height, mines, topology }, seed) {
+		super();
+		this.code = code;
+		this.mode = mode;
+		this.settings = { width, height, mines, topology };
+		this.seed = seed;
+		this.status = "waiting"; // "waiting" → "playing" → "finished"
+		this.seats = []; // [{ name, token, send, connected, left, points, timer }]
+		this.boards = []; // turns: one shared board, race: one board per seat
+		this.layout = []; // [x, y] of every mine
+		this.turn = 0; // seat to move (turns mode)
+		this.result = null; // "finished" message, kept for players who reconnect
+	}
+
+	/**
+	 * Take a free seat; the match starts once both are taken.
+	 * @param {string} name - Player name
+	 * @param {string} token - Secret the player resumes with after a disconnect
+	 * @param {function} send - Delivers a message object to the player
+	 * @returns {number} Seat index (0 or 1)
+	 * @throws {Error} if the lobby is full
+	 */
+	join(name, token, send) {
+		if (this.seats.length >= 2) throw new Error(`Lobby ${this.code} is full.`);
+		const seat = this.seats.length;
+		const clean = String(name || "").trim().slice(0, MAX_NAME_LENGTH);
+		this.seats.push({
+			name: clean || `Player ${seat + 1}`,
+			token,
+			send,
+			connected: true,
+			left: false,
+			points: 0,
+			timer: undefined,
+		});
+		send({ type: "joined", code: this.code, token, seat, mode: this.mode });
+
+		if (this.seats.length === 2) {
+			this.start();
+		} else {
+			this.sendState(seat);
+		}
+		return seat;
+	}
+
+	/**
+	 * Give a seat back to a player who reconnected.
+	 * @param {string} token - Token from the "joined" message
+	 * @param {function} send - Delivers a message object to the player
+	 * @returns {number} Seat index
+	 * @throws {Error} if the token doesn't belong to a seat (anymore)
+	 */
+	resume(token, send) {
+		const seat = this.seats.findIndex(s => s.token === token && !s.left);
+		if (seat < 0) throw new Error(`Your seat in lobby ${this.code} is gone.`);
+		const player = this.seats[seat];
+		clearTimeout(player.timer);
+		player.send = send;
+		player.connected = true;
+		send({ type: "joined", code: this.code, token, seat, mode: this.mode });
+		this.sendState(seat);
+		this.broadcast(() => ({ type: "players", players: this.players() }));
+		return seat;
+	}
+
+	/**
+	 * A player's connection dropped. They get RECONNECT_GRACE ms to come back
+	 * before the match is forfeited (or, before it started, the lobby closed).
+	 * @param {number} seat - Seat index
+	 * @param {function} send - send function of the dropped connection; a seat
+	 *   already resumed on a newer connection is left alone
+	 */
+	disconnect(seat, send) {
+		const player = this.seats[seat];
+		if (!player || !player.connected || player.send !== send) return;
+		player.connected = false;
+		player.send = null;
+		this.broadcast(() => ({ type: "players", players: this.players() }));
+
+		if (this.status === "finished") {
+			this.closeIfEmpty();
+			return;
+		}
+		player.timer = setTimeout(() => {
+			if (this.status === "playing") {
+				this.finish(1 - seat, "forfeit");
+			}
+			player.left = true;
+			this.closeIfEmpty();
+		}, RECONNECT_GRACE);
+	}
+
+	/**
+	 * A player left on purpose: a running match goes to the opponent.
+	 * @param {number} seat - Seat index
+	 */
+	leave(seat) {
+		const player = this.seats[seat];
+		if (!player || player.left) return;
+		clearTimeout(player.timer);
+		player.left = true;
+		player.connected = false;
+		player.send = null;
+		if (this.status === "playing") {
+			this.finish(1 - seat, "left");
+		} else {
+			this.broadcast(() => ({ type: "players", players: this.players() }));
+		}
+		this.closeIfEmpty();
+	}
+
+	// Place the mines (the same layout on every board) and open the center
+	start() {
+		const { width, height, mines, topology } = this.settings;
+		const x = Math.floor(width / 2);
+		const y = Math.floor(height / 2);
+		const random = createRandom(this.seed);
+
+		const first = new Map(width, height, RULES_ONLY, topology);
+		first.generateBombs(mines, x, y, random);
+		this.layout = first.getBombs();
+		this.boards = [first];
+		if (this.mode === "race") {
+			const second = new Map(width, height, RULES_ONLY, topology);
+			second.placeBombs(this.layout);
+			this.boards.push(second);
+		}
+		this.boards.forEach(board => board.reveal(x, y));
+
+		this.status = "playing";
+		this.turn = 0;
+		this.seats.forEach((player, seat) => this.sendState(seat));
+	}
+
+	/**
+	 * Play a move for a seat.
+	 * @param {number} seat - Seat index
+	 * @param {object} move - { action: "reveal" / "flag" / "chord", x, y }
+	 * @throws {Error} if the move isn't allowed right now
+	 */
+	move(seat, { action, x, y }) {
+		if (this.status !== "playing") throw new Error("The match isn't running.");
+		if (this.mode === "turns" && seat !== this.turn) throw new Error("Wait for your turn.");
+		const board = this.boardOf(seat);
+		if (!ACTIONS.includes(action) || !Number.isInteger(x) || !Number.isInteger(y) || !board.inMap(x, y)) {
+			throw new Error("Invalid move.");
+		}
+
+		// Collect the cells the move changes (a cell can change more than once)
+		const changed = new Set();
+		const stopWatching = board.on("change", (cx, cy) => changed.add(cy * board.w + cx));
+		const before = board.safeCovered;
+		let result = "none";
+		if (action === "flag") {
+			board.cellRightClicked(x, y);
+		} else if (action === "reveal") {
+			result = board.reveal(x, y);
+		} else {
+			result = board.chord(x, y);
+		}
+		stopWatching();
+		if (changed.size === 0) return;
+
+		const player = this.seats[seat];
+		player.points += before - board.safeCovered;
+
+		let winner;
+		if (result === "bomb") {
+			winner = 1 - seat;
+		} else if (board.checkWin()) {
+			winner = this.mode === "race" ? seat : this.leader();
+		} else if (this.mode === "turns" && action !== "flag") {
+			this.turn = 1 - seat;
+		}
+
+		const cells = [...changed].map(index => {
+			const cx = index % board.w;
+			const cy = Math.floor(index / board.w);
+			return [cx, cy, viewOf(board, cx, cy)];
+		});
+		// Race boards are private, the opponent only sees the progress
+		this.broadcast(to => ({
+			type: "update",
+			cells: this.mode === "turns" || to === seat ? cells : [],
+			by: seat,
+			turn: this.turn,
+			players: this.players(),
+		}));
+
+		if (winner !== undefined) {
+			this.finish(winner, result === "bomb" ? "mine" : "cleared");
+		}
+	}
+
+	/**
+	 * End the match and show everyone the whole layout.
+	 * @param {number|null} winner - Winning seat, null for a draw
+	 * @param {string} reason - "mine", "cleared", "forfeit" or "left"
+	 */
+	finish(winner, reason) {
+		this.status = "finished";
+		this.seats.forEach(player => clearTimeout(player.timer));
+		this.result = {
+			type: "finished",
+			winner,
+			reason,
+			seed: this.seed,
+			layout: this.layout,
+			players: this.players(),
+		};
+		this.broadcast(() => this.result);
+	}
+
+	// Board a seat plays on
+	boardOf(seat) {
+		return this.mode === "race" ? this.boards[seat] : this.boards[0];
+	}
+
+	// Seat with more points on a cleared shared board, null when tied
+	leader() {
+		const [first, second] = this.seats.map(player => player.points);
+		if (first === second) return null;
+		return first > second ? 0 : 1;
+	}
+
+	// What everyone may know about the players
+	players() {
+		const safe = this.settings.width * this.settings.height - this.settings.mines;
+		return this.seats.map((player, seat) => {
+			const board = this.boards.length ? this.boardOf(seat) : null;
+			return {
+				name: player.name,
+				connected: player.connected,
+				points: player.points,
+				progress: board ? (safe - board.safeCovered) / safe : 0,
+			};
+		});
+	}
+
+	sendState(seat) {
+		const player = this.seats[seat];
+		if (!player.send) return;
+		player.send({
+			type: "state",
+			status: this.status,
+			code: this.code,
+			mode: this.mode,
+			...this.settings,
+			seat,
+			players: this.players(),
+			turn: this.turn,
+			cells: this.boards.length ? visibleCells(this.boardOf(seat)) : [],
+		});
+		// A player coming back to a finished match still gets the result
+		if (this.result) player.send(this.result);
+	}
+
+	/**
+	 * Send a message to every connected player.
+	 * @param {function} message - Called with the seat index, returns the message for it
+	 */
+	broadcast(message) {
+		this.seats.forEach((player, seat) => {
+			if (player.send) player.send(message(seat));
+		});
+	}
+
+	closeIfEmpty() {
+		if (this.seats.every(player => !player.connected)) {
+			this.seats.forEach(player => clearTimeout(player.timer));
+			this.emit("closed");
+		}
+	}
+}
@@ -5,8 +5,10 @@
  * Description: Implements the backend board logic for a Minesweeper-style game.
  * Inputs/Outputs:
  *   - Inputs: width, height, user clicks (left/right), bomb count
- *   - Outputs: Updates DOM cells, flag counters, and game status messages
- * External Sources: None (custom implementation)
+ *   - Outputs: "change" events for every modified cell, reveal/bomb/flag events,
+ *     game lifecycle calls on Game
+ * External Sources: Emitter class imported from ./emitter.js, isSolvable from ./solver.js,
+ *   neighborsOf from ./topology.js
 
  * Class Map
  * 
@@ -23,35 +25,64 @@
  * - Randomly place bombs while ensuring the player’s first click and its neighbors are safe.
  * - Update the surrounding number counts whenever a bomb is placed.
  * - Reveal all bombs when the player loses.
- * - Update the visual representation of each cell in the DOM (via updateCell).
+ * - Notify listeners (e.g. the Renderer) whenever a cell changes.
  * - Handle left-clicks (reveal) and right-clicks (toggle flag).
  * - Implement a flood-fill algorithm to automatically reveal empty regions.
  * - Check for win conditions (all safe cells uncovered).
  * 
  * Key methods:
- * - constructor(width, height, game): Initializes the grid and links to the Game instance.
- * - generateBombs(bombCount, startX, startY): Places bombs and updates numbers.
+ * - constructor(width, height, game, topology): Initializes the grid and links to the Game instance.
+ *   topology picks which cells are neighbors (classic, wrap-around or hex, see topology.js).
+ * - generateBombs(bombCount, startX, startY, random): Places bombs and updates numbers.
+ * - generateNoGuessBombs(bombCount, startX, startY, random): Like generateBombs, but
+ *   retries until the layout can be solved from the first click without guessing.
+ * - placeBomb(x, y) / removeBomb(x, y): Adds or takes away a single bomb and updates
+ *   the surrounding numbers (the board editor uses both, see editor.js).
  * - revealBombs(): Uncovers all bombs on the board.
- * - setCell(x, y, i, v): Updates a cell property and triggers visual update.
- * - updateCell(x, y): Renders the current state of a cell to the UI.
- * - cellClicked(x, y): Handles left-click (reveal logic).
+ * - setCell(x, y, i, v): Updates a cell property and emits a "change" event.
+ * - loadGrid(grid): Replaces all cells, e.g. when resuming a saved game.
+ * - cellClicked(x, y): Handles left-click (reveal logic, chords on uncovered numbers).
+ * - cellMiddleClicked(x, y): Handles middle/both-button clicks (chord only).
+ * - reveal(x, y): The reveal rules alone, without turn or game handling.
  * - cellRightClicked(x, y): Handles right-click (flag placement/removal).
- * - floodFill(x, y): Expands reveals over empty cells recursively.
- * - checkWin(): Returns true if all non-bomb cells are uncovered.
+ * - chord(x, y): Uncovers the neighbors of a number once all its flags are placed.
+ * - getBombs() / placeBombs(bombs): Read or set the bomb layout as a list of cells.
+ * - floodFill(x, y): Expands reveals over empty cells (iteratively, see _flood).
+ * - checkWin(): Returns true if all non-bomb cells are uncovered (safeCovered counter,
+ *   kept up to date by setCell and loadGrid instead of scanning the grid).
+ * - get3BV(): Minimum number of clicks needed to clear the board.
+ * 
+ * Events (see Emitter):
+ * - "change" (x, y): a single cell changed.
+ * - "refresh": the whole board should be redrawn.
+ * - "reveal" (x, y, count): a reveal at (x, y) uncovered count cells (more than 1 for a flood fill).
+ * - "bomb" (x, y): a bomb was uncovered.
+ * - "flag" (x, y, placed): a flag was placed (placed = true) or removed.
  * 
  * Design notes:
- * - This class is tightly coupled with the DOM: each cell corresponds to a
- *   button element with id `cell-x-y`.
+ * - The board never touches the DOM, so the rules can run headless (e.g. in Node).
+ *   Rendering lives in renderer.js, which subscribes to the events above.
  * - Relies on the Game object for global state management (start, finish, flags).
- * - Game logic and rendering are partially mixed, since updateCell writes directly to the DOM.
+ *   The game argument is optional when only the board rules are needed.
  */
 
+import { Emitter } from "./emitter.js";
+import { isSolvable } from "./solver.js";
+import { neighborsOf } from "./topology.js";
+
+// Limits for no-guess generation, so big boards don't freeze the page
+const NO_GUESS_ATTEMPTS = 1000; // layouts tried before giving up
+const NO_GUESS_TIME_LIMIT = 2000; // milliseconds
+
 // MAP CLASS 🗺️📍🧭 ————————————————————————————————————————————————————————————————————————————————
-export class Map {
-	constructor(width, height, game) {
+export class Map extends Emitter {
+	constructor(width, height, game, topology = "square") {
+		super();
 		this.w = width; // width
 		this.h = height; // height
 		this.game = game; // reference to Game instance
+		this.topology = topology; // key of TOPOLOGIES in topology.js
+		this.safeCovered = width * height; // covered cells without a bomb, kept up to date by setCell
 
 		// Create grid
 		this.grid = [];
@@ -67,25 +98,30 @@ export class Map {
 	/**
 	 * Randomly place bombs on the grid while ensuring the first clicked
 	 * cell and its neighbors are safe.
+	 * @param {number} bombCount - Number of bombs to place
+	 * @param {number} startX - X coordinate of the first click
+	 * @param {number} startY - Y coordinate of the first click
+	 * @param {function} random - Random number source, e.g. createRandom(seed)
+	 *   from random.js for a reproducible layout (defaults to Math.random)
+	 * @throws {Error} if there are more bombs than cells outside the safe area
 	 */
-	generateBombs(bombCount, startX, startY) {
+	generateBombs(bombCount, startX, startY, random = Math.random) {
 		// Generate random number of bombs
 		let count = 0;
 
 		// Mark forbidden cells.
 		// Bombs shouldn't spawn near or adjacent to where the user clicked
-		const forbidden = new Set();
-		for (let dy = -1; dy <= 1; dy++) {
-			for (let dx = -1; dx <= 1; dx++) {
-				const x = startX + dx;
-				const y = startY + dy;
-				if (this.inMap(x, y)) forbidden.add(`${x},${y}`);
-			}
+		const forbidden = new Set([`${startX},${startY}`]);
+		for (const [x, y] of this.neighbors(startX, startY)) forbidden.add(`${x},${y}`);
+
+		// Without room for every bomb the loop below would never end
+		if (bombCount > this.w * this.h - forbidden.size) {
+			throw new Error(`Can't place ${bombCount} bombs on a ${this.w}x${this.h} board.`);
 		}
 
 		while (count < bombCount) {
-			const x = Math.floor(Math.random() * this.w);
-			const y = Math.floor(Math.random() * this.h);
+			const x = Math.floor(random() * this.w);
+			const y = Math.floor(random() * this.h);
 
 			// Don't spawn where user clicked
 			if (forbidden.has(`${x},${y}`)) continue;
@@ -94,23 +130,69 @@ export class Map {
 			if (this.getCell(x, y, 1) === 1) continue;
 
 			// Place bomb
-			this.setCell(x, y, 1, 1);
-
-			// Update numbers of surrounding tiles
-			for (let dy = -1; dy <= 1; dy++) {
-				for (let dx = -1; dx <= 1; dx++) {
-					const cx = x + dx;
-					const cy = y + dy;
-					if (this.inMap(cx, cy)) {
-						this.setCell(cx, cy, 0, this.getCell(cx, cy, 0) + 1);
-					}
-				}
-			}
+			this.placeBomb(x, y);
 
 			count++;
 		}
 	}
 
+	/**
+	 * Place bombs so the board can be cleared from the first click by logic
+	 * alone. Layouts are generated on a scratch map and checked with the solver
+	 * until one works; after NO_GUESS_ATTEMPTS tries or NO_GUESS_TIME_LIMIT ms
+	 * the last layout is used anyway.
+	 * @param {number} bombCount - Number of bombs to place
+	 * @param {number} startX - X coordinate of the first click
+	 * @param {number} startY - Y coordinate of the first click
+	 * @param {function} random - Random number source (defaults to Math.random)
+	 * @returns {boolean} true if the placed layout is guaranteed guess-free
+	 */
+	generateNoGuessBombs(bombCount, startX, startY, random = Math.random) {
+		const deadline = Date.now() + NO_GUESS_TIME_LIMIT;
+		let trial;
+		let solvable = false;
+
+		for (let attempt = 0; attempt < NO_GUESS_ATTEMPTS && !solvable; attempt++) {
+			// Scratch map has no listeners, so trial layouts are never drawn
+			trial = new Map(this.w, this.h, undefined, this.topology);
+			trial.generateBombs(bombCount, startX, startY, random);
+			solvable = isSolvable(trial, startX, startY, bombCount, deadline);
+			if (Date.now() > deadline) break;
+		}
+
+		// Copy the chosen layout onto this board
+		this.placeBombs(trial.getBombs());
+		return solvable;
+	}
+
+	/**
+	 * Place a bomb on a cell and update the numbers of the surrounding tiles.
+	 * @param {number} x - X coordinate
+	 * @param {number} y - Y coordinate
+	 */
+	placeBomb(x, y) {
+		if (this.getCell(x, y, 1) !== 0) return;
+		this.setCell(x, y, 1, 1);
+
+		for (const [cx, cy] of this.neighbors(x, y)) {
+			this.setCell(cx, cy, 0, this.getCell(cx, cy, 0) + 1);
+		}
+	}
+
+	/**
+	 * Take a bomb off a cell and update the numbers of the surrounding tiles.
+	 * @param {number} x - X coordinate
+	 * @param {number} y - Y coordinate
+	 */
+	removeBomb(x, y) {
+		if (this.getCell(x, y, 1) !== 1) return;
+		this.setCell(x, y, 1, 0);
+
+		for (const [cx, cy] of this.neighbors(x, y)) {
+			this.setCell(cx, cy, 0, this.getCell(cx, cy, 0) - 1);
+		}
+	}
+
 	/**
 	 * Reveal all bombs on the board when the player loses.
 	 */
@@ -126,7 +208,7 @@ export class Map {
 	}
 
 	/**
-	 * Set a property of a cell and update its visual representation.
+	 * Set a property of a cell and notify listeners so the view can update.
 	 * @param {number} x - X coordinate
 	 * @param {number} y - Y coordinate
 	 * @param {number} i - Index in cell array (0-Visual,1-Bomb,2-Flag,3-Covered)
@@ -134,92 +216,64 @@ export class Map {
 	 */
 	setCell(x, y, i, v) {
 		if (!this.inMap(x, y)) return;
-		this.grid[y][x][i] = v;
+		const cell = this.grid[y][x];
+		const wasSafeCovered = cell[1] === 0 && cell[3] === 1;
+		cell[i] = v;
+		const isSafeCovered = cell[1] === 0 && cell[3] === 1;
+		if (wasSafeCovered !== isSafeCovered) this.safeCovered += isSafeCovered ? 1 : -1;
 
-		this.updateCell(x, y);
+		this.emit("change", x, y);
 	}
 
 	/**
-	 * Update all cells on the board (used after bomb placement or game reset)
+	 * Ask listeners to redraw every cell (used after bomb placement or game reset)
 	 */
-	updateMap(x, y) {
+	updateMap() {
+		this.emit("refresh");
+	}
+
+	/**
+	 * List the coordinates of every bomb (the board's layout).
+	 * @returns {number[][]} Array of [x, y] pairs
+	 */
+	getBombs() {
+		const bombs = [];
 		for (let y = 0; y < this.h; y++) {
 			for (let x = 0; x < this.w; x++) {
-				this.updateCell(x, y);
+				if (this.getCell(x, y, 1) === 1) bombs.push([x, y]);
 			}
 		}
+		return bombs;
 	}
 
 	/**
-	 * Update a single cell in the UI based on its current state.
+	 * Place bombs at the given coordinates (e.g. a layout from getBombs).
+	 * @param {number[][]} bombs - Array of [x, y] pairs
 	 */
+	placeBombs(bombs) {
+		bombs.forEach(([x, y]) => this.placeBomb(x, y));
+	}
 
-	updateCell(x, y) {
-		const btn = document.getElementById(`cell-${x}-${y}`);
-		// Flag
-		if (this.getCell(x, y, 2) === 1) {
-			btn.textContent = "🚩";
-			return;
-		}
-
-		// Covered?
-		if (this.getCell(x, y, 3) === 1) {
-			btn.textContent = "⬛";
-			return;
-		}
-
-		// Bomb?
-		if (this.getCell(x, y, 1) === 1) {
-			btn.textContent = "💣";
-			return;
-		}
-
-		// Number tile (1-8)
-		const number = this.getCell(x, y, 0);
-		if (number > 0) {
-			btn.textContent = number;
-			// Assign colors by number
-			switch (number) {
-				case 1:
-					btn.style.color = "blue";
-					break;
-				case 2:
-					btn.style.color = "green";
-					break;
-				case 3:
-					btn.style.color = "red";
-					break;
-				case 4:
-					btn.style.color = "darkblue";
-					break;
-				case 5:
-					btn.style.color = "brown";
-					break;
-				case 6:
-					btn.style.color = "turquoise";
-					break;
-				case 7:
-					btn.style.color = "black";
-					break;
-				case 8:
-					btn.style.color = "gray";
-					break;
+	/**
+	 * Replace every cell with a copy of the given grid (e.g. a saved game).
+	 * @param {number[][][]} grid - grid[y][x] = [adjacent, bomb, flag, covered]
+	 */
+	loadGrid(grid) {
+		this.safeCovered = 0;
+		for (let y = 0; y < this.h; y++) {
+			for (let x = 0; x < this.w; x++) {
+				const cell = grid[y][x].slice();
+				this.grid[y][x] = cell;
+				if (cell[1] === 0 && cell[3] === 1) this.safeCovered++;
 			}
-		} else {
-			btn.textContent = ""; // empty cell
 		}
-
-		// Uncovered, disable.
-		btn.disabled = true;
+		this.updateMap();
 	}
 
 	// safely get cell property
 	getCell(x, y, i) {
 		if (!this.inMap(x, y)) return;
 
-		const btn = document.getElementById(`cell-${x}-${y}`);
-		if (!btn) return;
-
 		return this.grid[y][x][i];
 	}
 
@@ -228,56 +282,114 @@ export class Map {
 		return x >= 0 && y >= 0 && x < this.w && y < this.h;
 	}
 
+	// list the coordinates of the cells surrounding (x, y) in this board's topology
+	neighbors(x, y) {
+		return neighborsOf(this.topology, this.w, this.h, x, y);
+	}
+
 	/**
-	 * Handle left-click on a cell
+	 * Handle left-click on a cell.
+	 * Clicking an uncovered number chords (see chord).
 	 * @returns {boolean} true if cell revealed, false if bomb or flagged
 	 */
-	// REPLACE your cellClicked function in map.js with this version:
-
 	cellClicked(x, y) {
-		// Allow AI clicks when AI is making its move, but block player clicks
-		if (typeof currentTurn !== 'undefined' && currentTurn === "ai") {
-			// Only allow if AI is not thinking (meaning it's making its actual move)
-			if (typeof aiThinking !== 'undefined' && aiThinking) {
-				return false;
-			}
-		} else if (typeof currentTurn !== 'undefined' && currentTurn !== "player") {
+		if (!this.game.started) {
+			this.game.start(x, y);
+		}
+		return this.endMove(this.reveal(x, y));
+	}
+
+	/**
+	 * Handle middle-click (or both buttons) on a cell: chord, never reveal.
+	 * @returns {boolean} true if any cell was revealed
+	 */
+	cellMiddleClicked(x, y) {
+		if (!this.game.started) {
 			return false;
 		}
-		// Block player clicks when AI is thinking
-		if (typeof aiThinking !== 'undefined' && aiThinking) {
+		return this.endMove(this.chord(x, y));
+	}
+
+	/**
+	 * Finish a move based on the result of reveal/chord: a bomb loses the game
+	 * (unless the game says it survives it, see Game.survivesBomb), otherwise
+	 * check for a win. Turns are handled by the Game.
+	 * @param {string} result - "revealed", "bomb" or "none"
+	 * @returns {boolean} true if cells were revealed safely
+	 */
+	endMove(result) {
+		// If clicked on a bomb → lose
+		if (result === "bomb" && !(this.game.survivesBomb && this.game.survivesBomb())) {
+			this.game.finish("lose");
 			return false;
 		}
-		if (!this.game.started) {
-			this.game.start(x, y);
+		if (result === "none") {
+			return false;
+		}
+		// Check win after uncover
+		if (this.checkWin()) {
+			this.game.finish("win");
+			return true;
 		}
+		return result === "revealed";
+	}
+
+	/**
+	 * Apply the reveal rules to a cell without any turn or game handling
+	 * (used by cellClicked and to replay recorded moves).
+	 * @returns {string} "revealed" if safe cells were uncovered, "bomb" if a
+	 *   bomb was uncovered, "none" if nothing happened (e.g. flagged cell)
+	 */
+	reveal(x, y) {
 		// Don't do anything if there is a flag
 		if (this.getCell(x, y, 2) === 1) {
-			return false;
+			return "none";
 		}
-		// If clicked on a bomb → lose
+		// Bomb → uncover it, the caller decides what losing means
 		if (this.getCell(x, y, 1) === 1) {
 			this.setCell(x, y, 3, 0);
-			this.game.finish("lose");
-			return false;
+			this.emit("bomb", x, y);
+			return "bomb";
 		}
 		// Uncover tile
 		if (this.getCell(x, y, 3) === 1) {
 			this.floodFill(x, y);
-			// Check win after uncover
-			if (this.checkWin()) {
-				this.game.finish("win");
-				return true;
-			}
-			// Only trigger AI if this was a PLAYER move (not an AI move)
-			if (typeof aiMode !== 'undefined' && aiMode &&
-				typeof currentTurn !== 'undefined' && currentTurn === "player" &&
-				typeof endPlayerTurn === 'function') {
-				endPlayerTurn();
-			}
-			return true;
+			return "revealed";
 		}
-		return false;
+		// Already uncovered number → chord
+		return this.chord(x, y);
+	}
+
+	/**
+	 * Chord on an uncovered number: when the number of flags around it matches
+	 * the number, uncover every unflagged covered neighbor at once.
+	 * If one of the flags was wrong, a bomb gets uncovered.
+	 * @returns {string} "revealed", "bomb" or "none" (see reveal)
+	 */
+	chord(x, y) {
+		if (this.getCell(x, y, 3) !== 0 || this.getCell(x, y, 1) === 1) return "none";
+		const number = this.getCell(x, y, 0);
+		if (!(number > 0)) return "none";
+
+		const around = this.neighbors(x, y);
+		const flags = around.filter(([nx, ny]) => this.getCell(nx, ny, 2) === 1).length;
+		if (flags !== number) return "none";
+
+		const targets = around.filter(([nx, ny]) => this.getCell(nx, ny, 3) === 1 && this.getCell(nx, ny, 2) === 0);
+		if (targets.length === 0) return "none";
+
+		// Uncover everything first, like classic Minesweeper, then check for bombs
+		let hitBomb = false;
+		targets.forEach(([nx, ny]) => {
+			if (this.getCell(nx, ny, 1) === 1) {
+				this.setCell(nx, ny, 3, 0);
+				this.emit("bomb", nx, ny);
+				hitBomb = true;
+			} else if (this.getCell(nx, ny, 3) === 1) {
+				this.floodFill(nx, ny);
+			}
+		});
+		return hitBomb ? "bomb" : "revealed";
 	}
 
 	/**
@@ -290,71 +402,96 @@ export class Map {
 				if (this.game.placeFlag()) {
 					// Place
 					this.setCell(x, y, 2, 1);
+					this.emit("flag", x, y, true);
 				}
 			} else {
 				this.game.removeFlag()
 				// Remove
 				this.setCell(x, y, 2, 0);
+				this.emit("flag", x, y, false);
 			}
 		}
 	}
 
 	/**
-	 * Flood-fill empty tiles recursively
+	 * Flood-fill empty tiles
+	 * Emits "reveal" with the number of cells uncovered.
 	 */
 	floodFill(startX, startY) {
-		const empty = this.getCell(startX, startY, 0) === 0;
+		let count = this.getCell(startX, startY, 3) === 1 ? 1 : 0;
 		// Clear first cell
 		this.setCell(startX, startY, 3, 0);
 		// If empty, look for neighboring empty tiles.
-		if (empty) {
-			const visited = [];
-			for (let x = 0; x < this.w; x++) {
-				visited[x] = [];
-				for (let y = 0; y < this.h; y++) {
-					// [Visual Number (Surrounding bombs), Bomb, Flag?, Covered?]
-					visited[x][y] = false;
-				}
-			}
-
-			this._flood(startX, startY, visited);
+		if (this.getCell(startX, startY, 0) === 0) {
+			count += this._flood(startX, startY);
 		}
+		this.emit("reveal", startX, startY, count);
 	}
 
-	// Internal helper for recursive flood-fill
-	_flood(x, y, visited) {
-		// Clear cell and mark it as visited
-		this.setCell(x, y, 3, 0);
-		visited[x][y] = true;
-		if (this.getCell(x, y, 0) !== 0) {
-			// Stop searching if not emptry
-			return;
-		}
-		// Spread to neighboring tiles
-		for (let dx = -1; dx <= 1; dx++) {
-			for (let dy = -1; dy <= 1; dy++) {
-				if (dx === 0 && dy === 0) {
-					continue;
-				}
-				if (this.inMap(x + dx, y + dy) && !visited[x + dx][y + dy]) {
-					this._flood(x + dx, y + dy, visited);
-				}
+	// Internal helper for flood-fill, returns the number of cells it uncovered.
+	// Works from a stack instead of recursing, so huge empty areas can't overflow
+	// the call stack. Uncovered cells are never visited twice, so the covered
+	// flag doubles as the visited marker.
+	_flood(startX, startY) {
+		let count = 0;
+		const stack = [[startX, startY]];
+		while (stack.length > 0) {
+			const [x, y] = stack.pop();
+			for (const [nx, ny] of this.neighbors(x, y)) {
+				if (this.grid[ny][nx][3] === 0) continue;
+				this.setCell(nx, ny, 3, 0);
+				count++;
+				// Keep spreading from empty cells only
+				if (this.grid[ny][nx][0] === 0) stack.push([nx, ny]);
 			}
 		}
-		return;
+		return count;
 	}
+
 	/**
 	 * Check win condition: all non-bomb tiles uncovered
 	 * @returns {boolean}
 	 */
 	checkWin() {
+		return this.safeCovered === 0;
+	}
+
+	/**
+	 * Compute the board's 3BV (Bechtel's Board Benchmark Value): every
+	 * connected region of empty cells counts as one click, plus one click for
+	 * each numbered cell that no empty region would uncover.
+	 * @returns {number}
+	 */
+	get3BV() {
+		const opened = [];
+		for (let y = 0; y < this.h; y++) opened[y] = [];
+
+		let clicks = 0;
+		// One click per region of empty cells (and the numbers around it)
 		for (let y = 0; y < this.h; y++) {
 			for (let x = 0; x < this.w; x++) {
-				if (this.getCell(x, y, 1) === 0 && this.getCell(x, y, 3) === 1) {
-					return false; // still covered non-bomb
+				if (opened[y][x] || this.getCell(x, y, 1) === 1 || this.getCell(x, y, 0) !== 0) continue;
+				clicks++;
+				const stack = [[x, y]];
+				opened[y][x] = true;
+				while (stack.length > 0) {
+					const [cx, cy] = stack.pop();
+					if (this.getCell(cx, cy, 0) !== 0) continue;
+					for (const [nx, ny] of this.neighbors(cx, cy)) {
+						if (!opened[ny][nx] && this.getCell(nx, ny, 1) === 0) {
+							opened[ny][nx] = true;
+							stack.push([nx, ny]);
+						}
+					}
 				}
 			}
 		}
-		return true;
+		// One click per remaining safe cell
+		for (let y = 0; y < this.h; y++) {
+			for (let x = 0; x < this.w; x++) {
+				if (!opened[y][x] && this.getCell(x, y, 1) === 0) clicks++;
+			}
+		}
+		return clicks;
 	}
 }
@@ -0,0 +1,170 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: music.js
+ * Description: Background music player with track switching, volume and mute.
+ * Inputs/Outputs:
+ *   - Inputs: track select, next/mute buttons and volume slider, first user gesture
+ *   - Outputs: the background <audio> element, settings persisted in localStorage
+ * External Sources: None (custom implementation)
+ *
+ * Browsers block autoplay until the user has interacted with the page, so if
+ * play() is refused the player waits for the first click or key press.
+ * A track whose file fails to load is marked unavailable in the select and
+ * the next working track is played instead.
+ *
+ * Storage format ("minesweeper-music"):
+ *   { track, volume, muted }   → track key of TRACKS, volume 0-1
+ *
+ * DOM element requirements:
+ *  - <audio id="minesweeper-audio" loop>
+ *  - #audio-track select, #music-next and #music-mute buttons,
+ *    #music-volume range input, #music-status message
+ */
+
+const STORAGE_KEY = "minesweeper-music";
+
+export const TRACKS = {
+	classic: { label: "Classic", src: "audio/classic.mp3" },
+	rap: { label: "Rap", src: "audio/rap.mp3" },
+};
+
+const DEFAULTS = { track: "classic", volume: 0.5, muted: false };
+
+function loadSettings() {
+	try {
+		const settings = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		if (!settings || typeof settings !== "object") return { ...DEFAULTS };
+		return {
+			track: Object.hasOwn(TRACKS, settings.track) ? settings.track : DEFAULTS.track,
+			volume: Number.isFinite(settings.volume) ? Math.max(0, Math.min(1, settings.volume)) : DEFAULTS.volume,
+			muted: Boolean(settings.muted),
+		};
+	} catch (e) {
+		return { ...DEFAULTS };
+	}
+}
+
+function saveSettings(settings) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	} catch (e) {
+		// Storage full or unavailable, settings just reset next time
+	}
+}
+
+// MUSIC PLAYER CLASS 🎵 ——————————————————————————————————————————————————————————————————————————
+export class MusicPlayer {
+	/**
+	 * @param {HTMLAudioElement} audio - Element that plays the music
+	 */
+	constructor(audio) {
+		this.audio = audio;
+		this.settings = loadSettings();
+		this.unavailable = new Set(); // tracks whose file failed to load
+		this.waitingForGesture = false; // true while autoplay is blocked
+
+		this.select = document.getElementById("audio-track");
+		this.volume = document.getElementById("music-volume");
+		this.mute = document.getElementById("music-mute");
+
+		this.select.addEventListener("change", () => this.play(this.select.value));
+		document.getElementById("music-next").addEventListener("click", () => this.next());
+		this.mute.addEventListener("click", () => this.setMuted(!this.settings.muted));
+		this.volume.addEventListener("input", () => this.setVolume(Number(this.volume.value)));
+
+		// Missing or unsupported file → skip to a track that works
+		audio.addEventListener("error", () => {
+			this.unavailable.add(this.settings.track);
+			const option = this.select.querySelector(`option[value="${this.settings.track}"]`);
+			if (option) {
+				option.disabled = true;
+				option.textContent = `${TRACKS[this.settings.track].label} (unavailable)`;
+			}
+			this.next();
+		});
+
+		this.volume.value = this.settings.volume;
+		this.applyVolume();
+		this.play(this.settings.track);
+	}
+
+	/**
+	 * Switch to a track and start playing it.
+	 * @param {string} track - Key of TRACKS
+	 */
+	play(track) {
+		this.settings.track = track;
+		saveSettings(this.settings);
+		this.select.value = track;
+		this.showStatus("");
+		this.audio.src = TRACKS[track].src;
+		this.start();
+	}
+
+	/**
+	 * Play the next available track (wrapping around).
+	 */
+	next() {
+		const keys = Object.keys(TRACKS);
+		const current = keys.indexOf(this.settings.track);
+		for (let i = 1; i <= keys.length; i++) {
+			const track = keys[(current + i) % keys.length];
+			if (!this.unavailable.has(track)) {
+				this.play(track);
+				return;
+			}
+		}
+		// Every file failed
+		this.audio.removeAttribute("src");
+		this.showStatus("Music unavailable.");
+	}
+
+	// Start playback, or wait for the first click/key press if autoplay is blocked
+	start() {
+		const playing = this.audio.play();
+		if (!playing) return; // old browsers don't return a promise
+		playing.catch(err => {
+			if (err.name !== "NotAllowedError" || this.waitingForGesture) return;
+			this.waitingForGesture = true;
+			this.showStatus("Music starts when you click anywhere.");
+			const resume = () => {
+				document.removeEventListener("pointerdown", resume);
+				document.removeEventListener("keydown", resume);
+				this.waitingForGesture = false;
+				this.showStatus("");
+				this.start();
+			};
+			document.addEventListener("pointerdown", resume);
+			document.addEventListener("keydown", resume);
+		});
+	}
+
+	/**
+	 * @param {number} volume - 0 to 1
+	 */
+	setVolume(volume) {
+		this.settings.volume = volume;
+		// Turning the volume up is taken as wanting to hear it
+		if (volume > 0) this.settings.muted = false;
+		saveSettings(this.settings);
+		this.applyVolume();
+	}
+
+	setMuted(muted) {
+		this.settings.muted = muted;
+		saveSettings(this.settings);
+		this.applyVolume();
+	}
+
+	applyVolume() {
+		this.audio.volume = this.settings.volume;
+		this.audio.muted = this.settings.muted;
+		this.mute.textContent = this.settings.muted ? "🔇" : "🔊";
+		this.mute.setAttribute("aria-pressed", String(this.settings.muted));
+	}
+
+	showStatus(message) {
+		document.getElementById("music-status").textContent = message;
+	}
+}
@@ -0,0 +1,405 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: online.js
+ * Description: Client side of online head-to-head matches against another browser
+ *   (server side in server.js and lobby.js).
+ * Inputs/Outputs:
+ *   - Inputs: online panel (name, mode, server, lobby code, create/join/leave),
+ *     moves on the board, messages from the server
+ *   - Outputs: moves sent to the server, the server's view of the board drawn
+ *     on the Game's map, lobby and opponent status, session in sessionStorage
+ * External Sources: WebSocket API (built into the browser), readSettings from
+ *   ./settings.js, MINE and MODES from ./lobby.js, COVERED/FLAGGED from ./solver.js,
+ *   event bus from ./events.js, status messages from ./status.js
+ *
+ * The board in the browser has no mines on it: every move goes to the server,
+ * which answers with the cells that changed (see lobby.js for the messages).
+ * If the connection drops, the client reconnects with the token it got when it
+ * joined; the session is kept in sessionStorage so reloading the page resumes
+ * the match too.
+ *
+ * Storage format ("minesweeper-online", sessionStorage):
+ *   { url, code, token }   → server and seat of the current match
+ *
+ * DOM element requirements:
+ *  - #online-name and #online-code inputs, #online-mode select, #online-server input
+ *  - #online-create, #online-join and #online-leave buttons
+ *  - #online-status and #online-players messages
+ */
+
+import { readSettings } from "./settings.js";
+import { MINE, MODES } from "./lobby.js";
+import { COVERED, FLAGGED } from "./solver.js";
+import { events } from "./events.js";
+import { statusCenter } from "./status.js";
+
+const STORAGE_KEY = "minesweeper-online";
+// Milliseconds to wait before each reconnect attempt; the server keeps the seat for a minute
+const RETRY_DELAYS = [500, 1000, 2000, 4000, 8000, 10000, 10000, 10000];
+
+const REASONS = {
+	mine: "hit a mine",
+	cleared: "cleared the board",
+	forfeit: "didn't come back in time",
+	left: "left the match",
+};
+
+function loadSession() {
+	try {
+		const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+		return session && session.url && session.code && session.token ? session : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+function saveSession(session) {
+	try {
+		if (session) {
+			sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+		} else {
+			sessionStorage.removeItem(STORAGE_KEY);
+		}
+	} catch (e) {
+		// Storage full or unavailable, a reload just won't resume the match
+	}
+}
+
+// Server the page came from (server.js serves both), or a local one for file:// pages
+function defaultServer() {
+	if (location.protocol === "http:" || location.protocol === "https:") {
+		return `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}`;
+	}
+	return "ws://localhost:8080";
+}
+
+// ONLINE MATCH CLASS 🌐 ———————————————————————————————————————————————————————————————————————————
+export class OnlineMatch {
+	/**
+	 * @param {Game} game - Game whose board shows the match
+	 */
+	constructor(game) {
+		this.game = game;
+		this.socket = null;
+		this.session = null; // { url, code, token } while in a lobby
+		this.seat = -1; // our seat in the lobby (0 or 1)
+		this.mode = null; // "turns" or "race"
+		this.status = null; // "waiting", "playing" or "finished" (see lobby.js)
+		this.turn = 0; // seat to move in "turns" mode
+		this.players = []; // [{ name, connected, points, progress }]
+		this.retries = 0; // reconnect attempts since the connection dropped
+		this.retryTimer = undefined;
+
+		const select = document.getElementById("online-mode");
+		Object.entries(MODES).forEach(([key, label]) => {
+			const option = document.createElement("option");
+			option.value = key;
+			option.textContent = label;
+			select.appendChild(option);
+		});
+		document.getElementById("online-server").value = defaultServer();
+
+		const on = (id, fn) => document.getElementById(id).addEventListener("click", fn);
+		on("online-create", () => this.create());
+		on("online-join", () => this.join());
+		on("online-leave", () => this.leave());
+
+		// Reloaded in the middle of a match → take the seat back
+		const session = loadSession();
+		if (session) {
+			this.session = session;
+			this.connect({ type: "resume", code: session.code, token: session.token });
+		}
+		this.updatePanel();
+	}
+
+	// true while in a lobby (also while reconnecting to it)
+	get active() {
+		return this.session !== null || this.socket !== null;
+	}
+
+	/**
+	 * Open a lobby with the board from the settings form.
+	 */
+	create() {
+		const settings = readSettings(); // shows what is wrong next to the form
+		if (!settings) return;
+		this.leave();
+		this.connect({
+			type: "create",
+			name: document.getElementById("online-name").value,
+			mode: document.getElementById("online-mode").value,
+			...settings,
+		});
+	}
+
+	/**
+	 * Join the lobby whose code was entered.
+	 */
+	join() {
+		const code = document.getElementById("online-code").value.trim().toUpperCase();
+		if (!code) {
+			statusCenter.notify("Enter the code of the lobby to join.", "warning");
+			return;
+		}
+		this.leave();
+		this.connect({ type: "join", name: document.getElementById("online-name").value, code });
+	}
+
+	/**
+	 * Give up the seat (a running match goes to the opponent) and disconnect.
+	 * Does nothing when not in a lobby.
+	 */
+	leave() {
+		if (!this.active) return;
+		clearTimeout(this.retryTimer);
+		this.send({ type: "leave" });
+		const socket = this.socket;
+		this.socket = null;
+		this.session = null;
+		saveSession(null);
+		if (socket) socket.close();
+
+		// A match left halfway stays on screen, unplayable
+		if (this.status === "playing") {
+			this.game.stopOnline();
+			statusCenter.show("You left the match.", "");
+		}
+		this.status = null;
+		this.players = [];
+		this.updatePanel();
+	}
+
+	/**
+	 * Ask the server to play a move (called by Game.handleMove).
+	 * @param {string} action - "reveal", "flag" or "chord"
+	 */
+	move(action, x, y) {
+		if (this.status !== "playing") return;
+		if (this.mode === "turns" && this.turn !== this.seat) {
+			statusCenter.notify("Wait for your opponent's move.", "warning");
+			return;
+		}
+		this.send({ type: "move", action, x, y });
+	}
+
+	/**
+	 * Open a connection and send the first message once it is up.
+	 * @param {object} hello - create, join or resume message
+	 */
+	connect(hello) {
+		const url = this.session ? this.session.url : document.getElementById("online-server").value.trim();
+		let socket;
+		try {
+			socket = new WebSocket(url);
+		} catch (err) {
+			statusCenter.notify(`Can't connect to ${url}: ${err.message}`, "error");
+			return;
+		}
+		this.socket = socket;
+		this.showStatus(hello.type === "resume" ? "Reconnecting..." : "Connecting...");
+
+		socket.addEventListener("open", () => {
+			this.retries = 0;
+			this.send(hello);
+		});
+		socket.addEventListener("message", e => {
+			let message;
+			try {
+				message = JSON.parse(e.data);
+			} catch (err) {
+				return; // not from our server
+			}
+			this.handleMessage(message, url);
+		});
+		socket.addEventListener("close", () => {
+			if (this.socket !== socket) return; // replaced or left on purpose
+			this.socket = null;
+			this.reconnect();
+		});
+	}
+
+	// Try to get the seat back after the connection dropped
+	reconnect() {
+		if (!this.session || this.status === "finished") {
+			if (!this.session) statusCenter.notify("Couldn't reach the online server.", "error");
+			this.session = null;
+			saveSession(null);
+			this.updatePanel();
+			return;
+		}
+		if (this.retries >= RETRY_DELAYS.length) {
+			statusCenter.notify("Lost the connection to the online server.", "error");
+			this.session = null;
+			saveSession(null);
+			if (this.status === "playing") this.game.stopOnline();
+			this.status = null;
+			this.updatePanel();
+			return;
+		}
+		this.showStatus("Connection lost, reconnecting...");
+		this.retryTimer = setTimeout(() => {
+			this.connect({ type: "resume", code: this.session.code, token: this.session.token });
+		}, RETRY_DELAYS[this.retries++]);
+	}
+
+	send(message) {
+		if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+			this.socket.send(JSON.stringify(message));
+		}
+	}
+
+	handleMessage(message, url) {
+		switch (message.type) {
+			case "joined":
+				this.session = { url, code: message.code, token: message.token };
+				saveSession(this.session);
+				this.seat = message.seat;
+				this.mode = message.mode;
+				break;
+			case "state":
+				this.showState(message);
+				break;
+			case "update":
+				this.turn = message.turn;
+				this.players = message.players;
+				this.applyCells(message.cells, message.by === this.seat ? "player" : "opponent");
+				this.updateTurn();
+				break;
+			case "players":
+				this.players = message.players;
+				break;
+			case "finished":
+				this.players = message.players;
+				this.showResult(message);
+				break;
+			case "error":
+				statusCenter.notify(message.message, "error");
+				// The lobby is gone (e.g. the resumed match already ended)
+				if (!this.status) {
+					this.session = null;
+					saveSession(null);
+					const socket = this.socket;
+					this.socket = null;
+					if (socket) socket.close();
+				}
+				break;
+		}
+		this.updatePanel();
+	}
+
+	// Everything we can see of the lobby, on joining, on the start and after a reconnect
+	showState(message) {
+		this.status = message.status;
+		this.mode = message.mode;
+		this.seat = message.seat;
+		this.turn = message.turn;
+		this.players = message.players;
+		if (this.status === "waiting") {
+			statusCenter.show(`Lobby ${message.code}: waiting for an opponent...`, "playing");
+			return;
+		}
+		this.game.startOnline(message);
+		this.applyCells(message.cells, null);
+		this.updateTurn();
+	}
+
+	/**
+	 * Draw cells sent by the server on the game's map.
+	 * @param {number[][]} cells - [x, y, value] triples (see lobby.js)
+	 * @param {string|null} by - "player" or "opponent" for the sound effects, null for none
+	 */
+	applyCells(cells, by) {
+		const map = this.game.map;
+		let revealed = 0;
+		let mine = false;
+		let flag = null;
+		cells.forEach(([x, y, value]) => {
+			const wasFlagged = map.getCell(x, y, 2) === 1;
+			if (value === COVERED || value === FLAGGED) {
+				map.setCell(x, y, 2, value === FLAGGED ? 1 : 0);
+				if (wasFlagged !== (value === FLAGGED)) flag = { x, y, placed: value === FLAGGED };
+				return;
+			}
+			if (value === MINE) {
+				map.setCell(x, y, 1, 1);
+				mine = true;
+			} else {
+				map.setCell(x, y, 0, value);
+				revealed++;
+			}
+			map.setCell(x, y, 2, 0);
+			map.setCell(x, y, 3, 0);
+		});
+
+		this.game.flags = this.game.bombs - map.grid.flat().filter(cell => cell[2] === 1).length;
+		this.game.updateFlagCounter();
+		if (!by || cells.length === 0) return;
+		const [x, y] = cells[0];
+		if (revealed > 0 || mine) {
+			events.emit("cellRevealed", { x, y, count: revealed, mine, by });
+		} else if (flag) {
+			events.emit("flagToggled", { ...flag, by });
+		}
+	}
+
+	// Unlock the board on our turn and say whose move it is
+	updateTurn() {
+		if (this.status !== "playing") return;
+		const ours = this.mode === "race" || this.turn === this.seat;
+		this.game.renderer.setLocked(!ours);
+		if (this.mode === "race") {
+			statusCenter.show("Race! Clear the board before your opponent.", "playing");
+		} else {
+			const opponent = this.players[1 - this.seat];
+			statusCenter.show(ours ? "Your turn!" : `${opponent.name} is thinking...`, "playing");
+		}
+	}
+
+	showResult({ winner, reason, seed, layout }) {
+		this.status = "finished";
+		// Show where the mines were (the ones still covered stay covered until finish)
+		layout.forEach(([x, y]) => this.game.map.setCell(x, y, 1, 1));
+		const result = winner === null ? "draw" : winner === this.seat ? "win" : "lose";
+		this.game.finishOnline(result, seed);
+
+		const loser = winner === null ? null : this.players[1 - winner];
+		let message;
+		if (winner === null) {
+			message = "🤝 Draw! The board is cleared and the points are even.";
+		} else if (reason === "cleared") {
+			message = winner === this.seat ? "🏆 You cleared the board first!" : `😞 ${this.players[winner].name} cleared the board first.`;
+		} else {
+			const who = winner === this.seat ? loser.name : "You";
+			message = `${winner === this.seat ? "🏆" : "💥"} ${who} ${REASONS[reason]}.`;
+		}
+		if (this.mode === "turns") {
+			message += ` Points: ${this.players.map(player => `${player.name} ${player.points}`).join(", ")}.`;
+		}
+		statusCenter.show(message, winner === this.seat ? "won" : "lost");
+	}
+
+	showStatus(message) {
+		document.getElementById("online-status").textContent = message;
+	}
+
+	// Lobby code, connection state and the players' progress
+	updatePanel() {
+		document.getElementById("online-leave").disabled = !this.active;
+		if (!this.active) {
+			this.showStatus("");
+		} else if (this.session && !this.socket) {
+			this.showStatus(`Lobby ${this.session.code}: reconnecting...`);
+		} else if (this.session) {
+			const waiting = this.status === "waiting" ? " – share the code with your opponent" : "";
+			this.showStatus(`Lobby ${this.session.code} (${MODES[this.mode]})${waiting}.`);
+		}
+
+		document.getElementById("online-players").textContent = this.players.map((player, seat) => {
+			const name = seat === this.seat ? `${player.name} (you)` : player.name;
+			const score = this.mode === "race" ? `${Math.round(player.progress * 100)}%` : `${player.points} pts`;
+			return `${name}: ${score}${player.connected ? "" : " – disconnected"}`;
+		}).join(" · ");
+	}
+}
@@ -0,0 +1,59 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: random.js
+ * Description: Seeded pseudo-random number generator for reproducible boards.
+ * Inputs/Outputs:
+ *   - Inputs: a seed string (any text, e.g. "daily-2026-10-19")
+ *   - Outputs: a function returning numbers in [0, 1), like Math.random
+ * External Sources:
+ *   - String hashing follows the public-domain "cyrb53"-style mixing approach.
+ *   - Number generation uses the public-domain Mulberry32 algorithm.
+ */
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer.
+ * @param {string} seed - Seed text
+ * @returns {number}
+ */
+function hashSeed(seed) {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < seed.length; i++) {
+		const c = seed.charCodeAt(i);
+		h1 = Math.imul(h1 ^ c, 2654435761);
+		h2 = Math.imul(h2 ^ c, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	return h1 >>> 0;
+}
+
+/**
+ * Create a deterministic random number generator.
+ * The same seed always produces the same sequence of numbers.
+ * @param {string} seed - Seed text
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+	let state = hashSeed(String(seed));
+	return function () {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Make up a short seed for games where the player didn't enter one,
+ * so every board can still be replayed afterwards.
+ * @returns {string} 8 lowercase letters/digits
+ */
+export function randomSeed() {
+	let seed = "";
+	while (seed.length < 8) {
+		seed += Math.floor(Math.random() * 36).toString(36);
+	}
+	return seed;
+}
@@ -0,0 +1,479 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: renderer.js
+ * Description: Draws a Map onto the page as a grid of buttons.
+ * Inputs/Outputs:
+ *   - Inputs: Map instance ("change" / "refresh" events), grid container element,
+ *     callbacks for left/right/middle clicks, keyboard input on the grid,
+ *     touch long-presses, window size
+ *   - Outputs: Creates and updates one <button id="cell-x-y"> per cell, with an
+ *     aria-label describing it, and announcements for screen readers,
+ *     hint highlight and mine probability tints, data-state / data-number /
+ *     data-owner attributes that styles.css and ai.js read
+ * External Sources: None (custom implementation)
+ *
+ * Class Renderer
+ *
+ * The Map holds the board state and never touches the DOM. The Renderer
+ * subscribes to the map's events and keeps the buttons in sync with it, so
+ * other views (or none at all) can be attached to the same board.
+ *
+ * Keyboard controls (roving tabindex: only the focused cell is in the tab order):
+ *   Arrow keys      → move between cells (Home / End: start / end of the row)
+ *   Enter / Space   → reveal
+ *   F               → toggle flag
+ *   C               → chord
+ *
+ * Touch controls:
+ *   Tap             → the current tap mode ("reveal" or "flag", see tapMode)
+ *   Long-press      → the other action (flag in reveal mode, reveal in flag mode)
+ *
+ * Cells shrink from 58px down to 32px so the board fits the width of the screen;
+ * larger boards are zoomed and panned by the ZoomPan in touch.js.
+ *
+ * Topologies (see topology.js) are marked with data-topology on the grid.
+ * Hexagonal boards place each cell over two half-width grid columns, so odd
+ * rows can start half a cell further right; the hexagon shape and the row
+ * overlap are done in styles.css. On wrap-around boards the arrow keys wrap too.
+ *
+ * Cells are never truly disabled (disabled buttons can't take focus), they use
+ * aria-disabled instead and clicks on them are ignored while the board is locked.
+ *
+ * Every button says what it shows in data-state ("covered", "flagged", "mine",
+ * "number" or "empty") and numbers in data-number, so the theme's CSS picks
+ * the colors and nothing has to recognize a cell by its icon. In hot-seat
+ * games uncovered cells also carry data-owner ("player" or "ai"), the side
+ * whose move uncovered them.
+ *
+ * Big boards: mouse, touch and focus events are handled once on the grid
+ * instead of on every button, and cell changes are queued and drawn together
+ * when the current move is done (a microtask, so the page never shows, or
+ * lets the AI read, a half-drawn board). A flood fill over thousands of cells
+ * then costs one pass over the buttons it touched.
+ */
+
+const MAX_CELL_SIZE = 58; // px, desktop size
+const MIN_CELL_SIZE = 32; // px, still big enough for a finger
+const LONG_PRESS = 450; // ms a finger must stay down to flag
+const PRESS_SLOP = 10; // px a finger may move before the press turns into a drag
+const DEFAULT_ICONS = { covered: "⬛", flag: "🚩", mine: "💣" };
+
+// RENDERER CLASS 🖼️ ————————————————————————————————————————————————————————————————————————————————
+export class Renderer {
+	/**
+	 * @param {Map} map - Board to draw
+	 * @param {HTMLElement} container - Element that holds the grid buttons
+	 * @param {object} handlers - { reveal(x, y), flag(x, y), chord(x, y) } called on clicks
+	 * @param {HTMLElement} announcer - Optional aria-live element for screen reader messages
+	 * @param {object} icons - { covered, flag, mine } text of the cells (see THEMES in themes.js)
+	 */
+	constructor(map, container, handlers, announcer, icons = DEFAULT_ICONS) {
+		this.map = map;
+		this.container = container;
+		this.handlers = handlers;
+		this.announcer = announcer;
+		this.icons = icons;
+		this.locked = false; // true once the game is over (no more clicks)
+		this.focusX = 0; // cell that is in the tab order
+		this.focusY = 0;
+		this.tapMode = "reveal"; // what a plain tap/click on a covered cell does
+		this.press = null; // touch press in progress: { x, y, clientX, clientY, timer, fired }
+		this.probabilities = null; // probabilities[y][x] of a mine, shown as tints when set
+		this.hint = null; // { x, y } of the highlighted hint cell
+		this.owners = null; // owners[y][x], side that uncovered each cell (hot-seat games)
+		this.buttons = []; // buttons[y * w + x], so cells aren't looked up by id
+		this.dirty = new Set(); // indexes in buttons of cells waiting to be redrawn
+		this.flushPending = false; // true while a redraw of the dirty cells is queued
+
+		this.build();
+
+		// Cell size follows the screen width
+		this.onResize = () => this.fit();
+		window.addEventListener("resize", this.onResize);
+
+		// Keep the view in sync with the board
+		this.unsubscribe = [
+			map.on("change", (x, y) => this.queueCell(x, y)),
+			map.on("refresh", () => this.updateMap()),
+		];
+	}
+
+	/**
+	 * Create a button for each cell in the grid.
+	 */
+	build() {
+		const { w, h, topology } = this.map;
+		const hex = topology === "hex";
+		this.container.innerHTML = "";
+		this.container.dataset.topology = topology;
+		if (hex) {
+			this.container.style.gridTemplateColumns = `repeat(${2 * w + 1}, calc(var(--cell-size) / 2))`;
+			this.container.style.gridTemplateRows = `repeat(${h}, calc(var(--cell-size) * 0.75))`;
+		} else {
+			this.container.style.gridTemplateColumns = `repeat(${w}, var(--cell-size))`;
+			this.container.style.gridTemplateRows = `repeat(${h}, var(--cell-size))`;
+		}
+		this.fit();
+		this.container.setAttribute("role", "group");
+		this.container.setAttribute("aria-label", `Minesweeper board, ${w} columns by ${h} rows`);
+
+		const cells = document.createDocumentFragment();
+		this.buttons = [];
+		for (let y = 0; y < h; y++) {
+			for (let x = 0; x < w; x++) {
+				const btn = document.createElement("button");
+				btn.className = "grid-btn";
+				btn.id = `cell-${x}-${y}`;
+				btn.dataset.x = x;
+				btn.dataset.y = y;
+				if (hex) {
+					btn.style.gridColumn = `${2 * x + 1 + (y % 2)} / span 2`;
+					btn.style.gridRow = String(y + 1);
+				}
+				btn.tabIndex = x === this.focusX && y === this.focusY ? 0 : -1;
+				this.buttons.push(btn);
+				cells.appendChild(btn);
+			}
+		}
+		this.container.appendChild(cells);
+
+		// Run fn(x, y, e) when the event happened on a cell
+		const onCell = (fn) => (e) => {
+			const btn = e.target.closest(".grid-btn");
+			if (btn) fn(Number(btn.dataset.x), Number(btn.dataset.y), e);
+		};
+		this.listeners = {
+			keydown: (e) => this.handleKey(e),
+
+			// left-click (or tap) reveals cell, or flags it in flag tap mode
+			click: onCell((x, y) => {
+				if (this.press && this.press.fired) {
+					this.press = null; // the long-press already acted
+					return;
+				}
+				this.act(this.tapAction(x, y, false), x, y);
+			}),
+
+			// right-click toggles flag
+			contextmenu: onCell((x, y, e) => {
+				e.preventDefault();
+				if (this.press) return; // touch long-press, handled by its own timer
+				this.act("flag", x, y);
+			}),
+
+			// long-press on touchscreens
+			pointerdown: onCell((x, y, e) => this.startPress(e, x, y)),
+			pointermove: (e) => this.movePress(e),
+			pointerup: () => this.endPress(),
+			pointercancel: () => this.endPress(),
+
+			// middle-click or both buttons at once chords
+			auxclick: onCell((x, y, e) => {
+				if (e.button === 1) this.act("chord", x, y);
+			}),
+			mousedown: onCell((x, y, e) => {
+				if (e.button === 1) e.preventDefault(); // no autoscroll
+				if (e.buttons === 3) this.act("chord", x, y);
+			}),
+
+			// clicked/tapped cells become the keyboard position
+			focusin: onCell((x, y) => this.moveFocus(x, y, false)),
+		};
+		Object.entries(this.listeners).forEach(([type, fn]) => this.container.addEventListener(type, fn));
+
+		this.updateMap();
+	}
+
+	// Pass a click on to the handlers unless the board is locked
+	act(action, x, y) {
+		if (this.locked) return;
+		this.handlers[action](x, y);
+	}
+
+	/**
+	 * Action of a tap on a cell in the current tap mode.
+	 * Uncovered numbers are always "reveal" so they can still be chorded.
+	 * @param {boolean} longPress - true for a long-press (the other action)
+	 * @returns {string} "reveal" or "flag"
+	 */
+	tapAction(x, y, longPress) {
+		if (this.map.getCell(x, y, 3) === 0) return "reveal";
+		return (this.tapMode === "flag") !== longPress ? "flag" : "reveal";
+	}
+
+	// Start timing a touch press, a finger held still long enough acts as a long-press
+	startPress(e, x, y) {
+		this.cancelPress();
+		this.press = null;
+		if (e.pointerType !== "touch") return;
+		this.press = { x, y, clientX: e.clientX, clientY: e.clientY, fired: false };
+		this.press.timer = setTimeout(() => {
+			this.press.fired = true;
+			this.act(this.tapAction(x, y, true), x, y);
+			if (navigator.vibrate) navigator.vibrate(30);
+		}, LONG_PRESS);
+	}
+
+	// A finger that moves is dragging or pinching the board, not pressing a cell
+	movePress(e) {
+		if (!this.press || this.press.fired) return;
+		if (Math.hypot(e.clientX - this.press.clientX, e.clientY - this.press.clientY) > PRESS_SLOP) {
+			this.cancelPress();
+		}
+	}
+
+	// Finger lifted: a short press is left to the click handler
+	endPress() {
+		this.cancelPress();
+		if (this.press && !this.press.fired) this.press = null;
+	}
+
+	cancelPress() {
+		if (this.press) clearTimeout(this.press.timer);
+	}
+
+	/**
+	 * Size the cells so the board fits the width of the screen.
+	 */
+	fit() {
+		const available = document.documentElement.clientWidth - 20; // page margin
+		// Shifted hex rows stick out half a cell
+		const columns = this.map.topology === "hex" ? this.map.w + 0.5 : this.map.w;
+		const size = Math.floor(available / columns);
+		const cellSize = Math.max(MIN_CELL_SIZE, Math.min(MAX_CELL_SIZE, size));
+		this.container.style.setProperty("--cell-size", `${cellSize}px`);
+	}
+
+	/**
+	 * Handle keyboard controls on the grid (see the list at the top of the file).
+	 * @param {KeyboardEvent} e
+	 */
+	handleKey(e) {
+		if (e.altKey || e.ctrlKey || e.metaKey) return;
+		const { focusX: x, focusY: y } = this;
+		const moves = {
+			ArrowUp: [x, y - 1],
+			ArrowDown: [x, y + 1],
+			ArrowLeft: [x - 1, y],
+			ArrowRight: [x + 1, y],
+			Home: [0, y],
+			End: [this.map.w - 1, y],
+		};
+		const actions = { Enter: "reveal", " ": "reveal", f: "flag", F: "flag", c: "chord", C: "chord" };
+
+		if (moves[e.key]) {
+			let [nx, ny] = moves[e.key];
+			if (this.map.topology === "torus") {
+				nx = (nx + this.map.w) % this.map.w;
+				ny = (ny + this.map.h) % this.map.h;
+			}
+			if (this.map.inMap(nx, ny)) this.moveFocus(nx, ny, true);
+		} else if (actions[e.key]) {
+			this.act(actions[e.key], x, y);
+			// The label of the focused cell changed, read it out
+			this.announce(this.describeCell(x, y));
+		} else {
+			return;
+		}
+		e.preventDefault(); // no page scrolling, no extra click from Enter/Space
+	}
+
+	/**
+	 * Make (x, y) the cell in the tab order.
+	 * @param {boolean} focus - true to also move keyboard focus to it
+	 */
+	moveFocus(x, y, focus) {
+		const previous = this.buttonAt(this.focusX, this.focusY);
+		if (previous) previous.tabIndex = -1;
+		this.focusX = x;
+		this.focusY = y;
+		const btn = this.buttonAt(x, y);
+		if (!btn) return;
+		btn.tabIndex = 0;
+		if (focus) btn.focus();
+	}
+
+	/**
+	 * Put a message in the aria-live region for screen readers.
+	 */
+	announce(message) {
+		if (!this.announcer) return;
+		this.announcer.textContent = message;
+	}
+
+	/**
+	 * Describe a cell for screen readers, e.g. "row 3 column 5, 2 adjacent mines".
+	 * @returns {string}
+	 */
+	describeCell(x, y) {
+		const map = this.map;
+		const position = `row ${y + 1} column ${x + 1}`;
+		if (map.getCell(x, y, 2) === 1) return `${position}, flagged`;
+		if (map.getCell(x, y, 3) === 1) {
+			const probability = this.probabilities && this.probabilities[y][x];
+			if (typeof probability !== "number") return `${position}, covered`;
+			return `${position}, covered, ${Math.round(probability * 100)}% chance of a mine`;
+		}
+		if (map.getCell(x, y, 1) === 1) return `${position}, mine`;
+		const number = map.getCell(x, y, 0);
+		if (number === 0) return `${position}, empty`;
+		return `${position}, ${number} adjacent ${number === 1 ? "mine" : "mines"}`;
+	}
+
+	/**
+	 * Tint covered cells by their chance of holding a mine.
+	 * @param {number[][]|null} probabilities - probabilities[y][x] from the solver, null to hide
+	 */
+	showProbabilities(probabilities) {
+		this.probabilities = probabilities;
+		this.updateMap();
+	}
+
+	/**
+	 * Highlight the cell a hint points at.
+	 * @param {object|null} cell - { x, y }, or null to remove the highlight
+	 */
+	showHint(cell) {
+		const previous = this.hint;
+		this.hint = cell;
+		if (previous) this.updateCell(previous.x, previous.y);
+		if (cell) this.updateCell(cell.x, cell.y);
+	}
+
+	/**
+	 * Color uncovered cells by the player who uncovered them.
+	 * @param {Array<Array<string|null>>|null} owners - owners[y][x] ("player", "ai"
+	 *   or null), kept up to date by the game; null to stop coloring
+	 */
+	showOwners(owners) {
+		this.owners = owners;
+		this.updateMap();
+	}
+
+	/**
+	 * Lock or unlock every cell, e.g. when the game ends or a move is undone.
+	 * @param {boolean} locked - true to disable all cells
+	 */
+	setLocked(locked) {
+		this.locked = locked;
+		this.updateMap();
+	}
+
+	/**
+	 * Stop listening to the map (the buttons are left as they are).
+	 */
+	destroy() {
+		this.unsubscribe.forEach(off => off());
+		window.removeEventListener("resize", this.onResize);
+		Object.entries(this.listeners).forEach(([type, fn]) => this.container.removeEventListener(type, fn));
+		this.cancelPress();
+	}
+
+	/**
+	 * Button of a cell.
+	 * @returns {HTMLButtonElement|undefined}
+	 */
+	buttonAt(x, y) {
+		return this.map.inMap(x, y) ? this.buttons[y * this.map.w + x] : undefined;
+	}
+
+	/**
+	 * Mark a cell to be redrawn once the current move is done.
+	 */
+	queueCell(x, y) {
+		this.dirty.add(y * this.map.w + x);
+		if (this.flushPending) return;
+		this.flushPending = true;
+		queueMicrotask(() => this.flush());
+	}
+
+	/**
+	 * Redraw the queued cells now.
+	 */
+	flush() {
+		this.flushPending = false;
+		const w = this.map.w;
+		this.dirty.forEach(i => this.updateCell(i % w, Math.floor(i / w)));
+		this.dirty.clear();
+	}
+
+	/**
+	 * Redraw every cell.
+	 */
+	updateMap() {
+		this.dirty.clear();
+		for (let y = 0; y < this.map.h; y++) {
+			for (let x = 0; x < this.map.w; x++) {
+				this.updateCell(x, y);
+			}
+		}
+	}
+
+	/**
+	 * Update a single cell button based on its current state.
+	 */
+	updateCell(x, y) {
+		const btn = this.buttonAt(x, y);
+		if (!btn) return;
+		const map = this.map;
+		btn.classList.toggle("revealed", map.getCell(x, y, 3) === 0);
+		btn.setAttribute("aria-label", this.describeCell(x, y));
+		btn.setAttribute("aria-disabled", String(this.locked));
+
+		// Hint highlight and mine probability tint (covered cells only)
+		const covered = map.getCell(x, y, 3) === 1;
+		const probability = covered && this.probabilities ? this.probabilities[y][x] : null;
+		btn.classList.toggle("hint", covered && this.hint !== null && this.hint.x === x && this.hint.y === y);
+		btn.classList.toggle("risk", typeof probability === "number");
+		btn.classList.toggle("risk-safe", probability === 0);
+		if (typeof probability === "number") {
+			btn.style.setProperty("--risk", probability);
+			btn.title = `${Math.round(probability * 100)}% chance of a mine`;
+		} else {
+			btn.removeAttribute("title");
+		}
+
+		delete btn.dataset.number;
+		const owner = this.owners && map.getCell(x, y, 3) === 0 ? this.owners[y][x] : null;
+		if (owner) btn.dataset.owner = owner;
+		else delete btn.dataset.owner;
+
+		// Flag
+		if (map.getCell(x, y, 2) === 1) {
+			btn.dataset.state = "flagged";
+			btn.textContent = this.icons.flag;
+			return;
+		}
+
+		// Covered?
+		if (map.getCell(x, y, 3) === 1) {
+			btn.dataset.state = "covered";
+			btn.textContent = this.icons.covered;
+			return;
+		}
+
+		// Bomb?
+		if (map.getCell(x, y, 1) === 1) {
+			btn.dataset.state = "mine";
+			btn.textContent = this.icons.mine;
+			btn.setAttribute("aria-disabled", "true"); // a bomb hit in a versus game, nothing to do with it
+			return;
+		}
+
+		// Number tile (1-8)
+		const number = map.getCell(x, y, 0);
+		if (number > 0) {
+			btn.dataset.state = "number";
+			btn.dataset.number = number; // colored by the theme (--number-1 ... --number-8)
+			btn.textContent = number;
+			// Stay enabled so the number can be clicked to chord
+			return;
+		}
+
+		// Uncovered empty cell, nothing left to do with it
+		btn.dataset.state = "empty";
+		btn.textContent = "";
+		btn.setAttribute("aria-disabled", "true");
+	}
+}
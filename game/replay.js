@@ -0,0 +1,131 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: replay.js
+ * Description: Step-through and animated replays of finished games.
+ * Inputs/Outputs:
+ *   - Inputs: MoveHistory of a finished (or imported) game, replay control clicks
+ *   - Outputs: board states drawn through the game's map, replay text files
+ * External Sources: MoveHistory class imported from ./history.js
+ *
+ * DOM element requirements:
+ *  - #replay-controls container (hidden while no replay is available)
+ *  - #replay-start, #replay-back, #replay-play, #replay-forward, #replay-end buttons
+ *  - #replay-position label, #replay-export button, #replay-import file input
+ */
+
+import { MoveHistory } from "./history.js";
+
+const STEP_DELAY = 400; // milliseconds between moves when playing
+
+// REPLAY PLAYER CLASS 🎬 —————————————————————————————————————————————————————————————————————————
+export class ReplayPlayer {
+	/**
+	 * @param {Game} game - Game whose map is used to show the replay
+	 * @param {function} reportError - Shows a message when an import fails
+	 */
+	constructor(game, reportError) {
+		this.game = game;
+		this.history = undefined; // MoveHistory being replayed
+		this.step = 0; // number of moves currently shown
+		this.timer = undefined; // interval while playing
+
+		const on = (id, fn) => document.getElementById(id).addEventListener("click", fn);
+		on("replay-start", () => this.show(0));
+		on("replay-back", () => this.show(this.step - 1));
+		on("replay-forward", () => this.show(this.step + 1));
+		on("replay-end", () => this.show(Infinity)); // show() clamps to the last move
+		on("replay-play", () => (this.timer ? this.pause() : this.play()));
+		on("replay-export", () => this.export());
+
+		document.getElementById("replay-import").addEventListener("change", (e) => {
+			const file = e.target.files[0];
+			e.target.value = ""; // allow importing the same file again
+			if (!file) return;
+			file.text()
+				.then(text => this.game.loadReplay(MoveHistory.fromText(text)))
+				.catch(err => reportError(`Couldn't import replay: ${err.message}`));
+		});
+	}
+
+	/**
+	 * Show the controls for a finished game. The board is left as it is until
+	 * the user steps through the moves.
+	 * @param {MoveHistory} history - Moves of the game
+	 * @param {number} step - Number of moves the board currently shows
+	 */
+	open(history, step = history.moves.length) {
+		this.pause();
+		this.history = history;
+		this.step = step;
+		document.getElementById("replay-controls").hidden = false;
+		this.updateLabel();
+	}
+
+	/**
+	 * Stop the replay and hide its controls (e.g. when a new game starts).
+	 */
+	close() {
+		this.pause();
+		this.history = undefined;
+		document.getElementById("replay-controls").hidden = true;
+	}
+
+	/**
+	 * Draw the board as it was after the given number of moves.
+	 */
+	show(step) {
+		if (!this.history) return;
+		this.step = Math.max(0, Math.min(step, this.history.moves.length));
+		this.game.map.loadGrid(this.history.replay(this.step).grid);
+		this.updateLabel();
+	}
+
+	/**
+	 * Animate the remaining moves (starting over if already at the end).
+	 */
+	play() {
+		if (!this.history) return;
+		if (this.step >= this.history.moves.length) this.show(0);
+		this.timer = setInterval(() => {
+			this.show(this.step + 1);
+			if (this.step >= this.history.moves.length) this.pause();
+		}, STEP_DELAY);
+		document.getElementById("replay-play").textContent = "⏸";
+	}
+
+	/**
+	 * Stop the animation at the current move.
+	 */
+	pause() {
+		clearInterval(this.timer);
+		this.timer = undefined;
+		document.getElementById("replay-play").textContent = "▶";
+	}
+
+	// Describe the current position, e.g. "Move 3 / 20: AI flag (4, 5)"
+	updateLabel() {
+		const label = document.getElementById("replay-position");
+		const total = this.history.moves.length;
+		const move = this.history.moves[this.step - 1];
+		let text = `Move ${this.step} / ${total}`;
+		if (move) {
+			const who = move.by === "ai" ? "AI" : "Player";
+			text += `: ${who} ${move.action} (${move.x}, ${move.y})`;
+		}
+		label.textContent = text;
+	}
+
+	/**
+	 * Download the replay as a text file.
+	 */
+	export() {
+		if (!this.history) return;
+		const blob = new Blob([this.history.toText()], { type: "text/plain" });
+		const link = document.createElement("a");
+		link.href = URL.createObjectURL(blob);
+		link.download = `minesweeper-replay-${this.history.w}x${this.history.h}.txt`;
+		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+}
@@ -0,0 +1,182 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: save.js
+ * Description: Saving, loading, exporting and importing in-progress games.
+ * Inputs/Outputs:
+ *   - Inputs: game state objects (built by Game.getState), save files chosen by the user
+ *   - Outputs: the auto-save slot in localStorage, downloadable .json save files
+ * External Sources: TOPOLOGIES from ./topology.js, MIN_SIZE/MAX_SIZE from ./settings.js
+ *
+ * Save format (version 1):
+ *   {
+ *     version,        → SAVE_VERSION
+ *     width, height,  → board size
+ *     topology,       → "square", "torus" or "hex" (missing = "square")
+ *     bombs,          → total bombs
+ *     flags,          → flags remaining
+ *     seed, noGuess,  → board generation settings
+ *     clicks,         → player clicks so far
+ *     elapsed,        → milliseconds played so far
+ *     grid,           → Map.grid: grid[y][x] = [adjacent, bomb, flag, covered]
+ *     practice,       → true if undo is allowed
+ *     layout, moves,  → bomb layout and move log (see history.js)
+ *     aiMode,         → null or "easy" / "medium" / "hard"
+ *     turn,           → "player" or "ai", whose move is next
+ *     versus,         → Player vs AI scores and series (see versus.js)
+ *     hotSeat,        → { player, ai } names of a hot-seat game, or null/missing
+ *     owners,         → who uncovered each cell of a hot-seat game (see hotseat.js)
+ *     level,          → true if the mines were placed by hand (see editor.js)
+ *     hints,          → hints used so far
+ *     overlayCounted  → true if the probability overlay was already counted as a hint
+ *   }
+ */
+
+import { TOPOLOGIES } from "./topology.js";
+import { MIN_SIZE, MAX_SIZE } from "./settings.js";
+
+// Counters a resumed game does arithmetic with (the timer, the flag counter, ...)
+const COUNTERS = { bombs: "mine count", flags: "flag count", clicks: "click count", elapsed: "play time" };
+const AI_MODES = ["easy", "medium", "hard"];
+const SIDES = ["player", "ai"];
+const ACTIONS = ["reveal", "flag", "chord"];
+
+const STORAGE_KEY = "minesweeper-save";
+export const SAVE_VERSION = 1;
+
+/**
+ * Check that an object is a usable save and throw a readable error if not.
+ * @param {object} state - Parsed save data
+ * @returns {object} The same state
+ */
+export function validateSave(state) {
+	if (!state || typeof state !== "object" || !Array.isArray(state.grid)) {
+		throw new Error("This is not a Minesweeper save file.");
+	}
+	if (state.version !== SAVE_VERSION) {
+		throw new Error(`Unsupported save version: ${state.version}.`);
+	}
+	const { width, height, grid } = state;
+	if (![width, height].every(size => Number.isInteger(size) && size >= MIN_SIZE && size <= MAX_SIZE)) {
+		throw new Error(`Saved boards must be from ${MIN_SIZE}x${MIN_SIZE} to ${MAX_SIZE}x${MAX_SIZE} cells.`);
+	}
+	if (grid.length !== height) {
+		throw new Error("The saved board size doesn't match its cells.");
+	}
+	const invalid = Object.keys(COUNTERS).find(field => !Number.isInteger(state[field]) || state[field] < 0);
+	if (invalid) {
+		throw new Error(`The saved ${COUNTERS[invalid]} is missing or not a whole number.`);
+	}
+	if (typeof state.seed !== "string") {
+		throw new Error("The save's seed is missing.");
+	}
+
+	// Bomb layout and move log, replayed by undo (older saves may lack them)
+	const inBoard = (x, y) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < width && y < height;
+	const { layout, moves } = state;
+	if (layout !== undefined) {
+		const validBomb = bomb => Array.isArray(bomb) && bomb.length === 2 && inBoard(bomb[0], bomb[1]);
+		if (!Array.isArray(layout) || layout.length !== state.bombs || !layout.every(validBomb)) {
+			throw new Error("The saved bomb layout doesn't match the board.");
+		}
+	}
+	if (moves !== undefined) {
+		const validMove = move => move && typeof move === "object"
+			&& SIDES.includes(move.by) && ACTIONS.includes(move.action)
+			&& inBoard(move.x, move.y) && Number.isFinite(move.time) && move.time >= 0;
+		if (!Array.isArray(moves) || !moves.every(validMove)) {
+			throw new Error("The saved move log has invalid moves.");
+		}
+	}
+
+	if (state.aiMode != null && !AI_MODES.includes(state.aiMode)) {
+		throw new Error(`Unknown AI mode: ${state.aiMode}.`);
+	}
+	if (state.turn !== undefined && !SIDES.includes(state.turn)) {
+		throw new Error(`Unknown turn: ${state.turn}.`);
+	}
+	if (state.hints !== undefined && !(Number.isInteger(state.hints) && state.hints >= 0)) {
+		throw new Error("The saved hint count is not a whole number.");
+	}
+	const validCell = cell => Array.isArray(cell) && cell.length === 4 && cell.every(Number.isInteger);
+	if (!grid.every(row => Array.isArray(row) && row.length === width && row.every(validCell))) {
+		throw new Error("The saved board has invalid cells.");
+	}
+	if (state.topology !== undefined && !Object.hasOwn(TOPOLOGIES, state.topology)) {
+		throw new Error(`Unknown board type: ${state.topology}.`);
+	}
+	if (state.hotSeat) {
+		const { hotSeat, owners } = state;
+		if (typeof hotSeat.player !== "string" || typeof hotSeat.ai !== "string") {
+			throw new Error("The saved hot-seat game has invalid player names.");
+		}
+		const validRow = row => typeof row === "string" && row.length === width && /^[.12]*$/.test(row);
+		if (owners && !(Array.isArray(owners) && owners.length === height && owners.every(validRow))) {
+			throw new Error("The saved hot-seat game has invalid cell colors.");
+		}
+	}
+	return state;
+}
+
+/**
+ * Store the state in the auto-save slot.
+ */
+export function saveGame(state) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+	} catch (e) {
+		// Storage full or unavailable, the game just won't survive a refresh
+	}
+}
+
+/**
+ * Read the auto-save slot.
+ * @returns {object|null} Saved state, or null if there is no usable save
+ */
+export function loadSave() {
+	try {
+		const data = localStorage.getItem(STORAGE_KEY);
+		return data ? validateSave(JSON.parse(data)) : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Empty the auto-save slot (e.g. once the game is over).
+ */
+export function clearSave() {
+	try {
+		localStorage.removeItem(STORAGE_KEY);
+	} catch (e) {
+		// Nothing stored
+	}
+}
+
+/**
+ * Let the user download the state as a .json file.
+ */
+export function downloadSave(state) {
+	const blob = new Blob([JSON.stringify(state, null, 1)], { type: "application/json" });
+	const link = document.createElement("a");
+	link.href = URL.createObjectURL(blob);
+	link.download = `minesweeper-${state.width}x${state.height}-${state.seed}.json`;
+	link.click();
+	URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Read a save file chosen by the user.
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<object>} The validated state (rejects with a readable error)
+ */
+export async function readSaveFile(file) {
+	const text = await file.text();
+	let state;
+	try {
+		state = JSON.parse(text);
+	} catch (e) {
+		throw new Error("This is not a Minesweeper save file.");
+	}
+	return validateSave(state);
+}
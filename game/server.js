@@ -0,0 +1,237 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: server.js
+ * Description: Local server for online matches (Node only). Serves the game's
+ *   files over HTTP and runs the lobbies over WebSocket on the same port.
+ * Inputs/Outputs:
+ *   - Inputs: command line options, HTTP requests, player messages over WebSocket
+ *   - Outputs: the game's files, lobby messages (see lobby.js)
+ * External Sources: node:http, node:crypto, node:fs and node:path;
+ *   WebSocket handling from ./websocket.js, Lobby from ./lobby.js,
+ *   validateSettings from ./settings.js
+ *
+ * Usage:
+ *   node game/server.js [--port 8080] [--host 0.0.0.0]
+ * then open http://<host>:<port>/ in both browsers.
+ *
+ * Player messages (JSON objects):
+ *   create { name, mode, width, height, mines, topology } → open a lobby, take seat 0
+ *   join   { name, code }                                 → take seat 1 of a lobby
+ *   resume { code, token }                                → come back after a disconnect
+ *   move   { action, x, y }                               → "reveal", "flag" or "chord"
+ *   leave  {}                                             → give up the seat
+ * Anything the server can't do is answered with error { message }.
+ */
+
+import http from "node:http";
+import { randomBytes, randomInt } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { acceptUpgrade } from "./websocket.js";
+import { Lobby, MODES } from "./lobby.js";
+import { validateSettings } from "./settings.js";
+
+// Lobby codes skip letters and digits that are easy to mix up (0/O, 1/I/L)
+const CODE_LETTERS = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+const MAX_LOBBIES = 1000;
+const HEARTBEAT_INTERVAL = 30000; // ms between pings, a missing pong drops the connection
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CONTENT_TYPES = {
+	".html": "text/html; charset=utf-8",
+	".css": "text/css; charset=utf-8",
+	".js": "text/javascript; charset=utf-8",
+	".json": "application/json",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".gif": "image/gif",
+	".svg": "image/svg+xml",
+	".mp3": "audio/mpeg",
+	".ico": "image/x-icon",
+};
+
+function makeCode(lobbies) {
+	let code;
+	do {
+		code = "";
+		for (let i = 0; i < CODE_LENGTH; i++) code += CODE_LETTERS[randomInt(CODE_LETTERS.length)];
+	} while (Object.hasOwn(lobbies, code));
+	return code;
+}
+
+/**
+ * Serve a file of the game. Hidden files (e.g. .git) and anything outside
+ * the repository are refused.
+ */
+async function serveFile(request, response) {
+	if (request.method !== "GET" && request.method !== "HEAD") {
+		response.writeHead(405, { Allow: "GET, HEAD" }).end();
+		return;
+	}
+	let pathname;
+	try {
+		pathname = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+	} catch (e) {
+		response.writeHead(400).end();
+		return;
+	}
+	if (pathname.endsWith("/")) pathname += "index.html";
+	const file = path.resolve(ROOT, "." + pathname);
+	const hidden = pathname.split("/").some(part => part.startsWith("."));
+	if (hidden || !file.startsWith(ROOT + path.sep)) {
+		response.writeHead(404).end("Not found");
+		return;
+	}
+
+	try {
+		const body = await readFile(file);
+		const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+		response.writeHead(200, { "Content-Type": type, "Content-Length": body.length });
+		response.end(request.method === "HEAD" ? undefined : body);
+	} catch (e) {
+		response.writeHead(404).end("Not found");
+	}
+}
+
+/**
+ * Create the HTTP + WebSocket server (not listening yet).
+ * @returns {http.Server}
+ */
+export function createServer() {
+	const lobbies = {}; // code → Lobby
+	const sockets = new Set(); // open WebSockets, for the heartbeat
+
+	const openLobby = message => {
+		if (Object.keys(lobbies).length >= MAX_LOBBIES) throw new Error("The server is full, try again later.");
+		if (!Object.hasOwn(MODES, message.mode)) throw new Error(`Unknown mode: ${message.mode}.`);
+		const settings = validateSettings(message);
+		const code = makeCode(lobbies);
+		const lobby = new Lobby(code, { mode: message.mode, ...settings }, randomBytes(8).toString("hex"));
+		lobby.on("closed", () => delete lobbies[code]);
+		lobbies[code] = lobby;
+		return lobby;
+	};
+
+	const findLobby = code => {
+		const lobby = lobbies[String(code || "").trim().toUpperCase()];
+		if (!lobby) throw new Error(`No lobby with the code ${code}.`);
+		return lobby;
+	};
+
+	const server = http.createServer((request, response) => {
+		serveFile(request, response);
+	});
+
+	server.on("upgrade", (request, socket, head) => {
+		const ws = acceptUpgrade(request, socket, head);
+		if (!ws) return;
+		sockets.add(ws);
+
+		// The seat this connection holds, once it created/joined/resumed one
+		let lobby = null;
+		let seat = -1;
+		const send = message => ws.send(JSON.stringify(message));
+
+		ws.on("message", text => {
+			let message;
+			try {
+				message = JSON.parse(text);
+			} catch (e) {
+				send({ type: "error", message: "Messages must be JSON." });
+				return;
+			}
+			try {
+				if (!message || typeof message !== "object") throw new Error("Messages must be JSON objects.");
+				const taken = ["create", "join", "resume"].includes(message.type);
+				if (taken && lobby) throw new Error("Leave the current lobby first.");
+				if (!taken && message.type !== "leave" && !lobby) throw new Error("Create or join a lobby first.");
+
+				switch (message.type) {
+					case "create":
+						lobby = openLobby(message);
+						seat = lobby.join(message.name, randomBytes(16).toString("hex"), send);
+						break;
+					case "join": {
+						const joining = findLobby(message.code);
+						seat = joining.join(message.name, randomBytes(16).toString("hex"), send);
+						lobby = joining;
+						break;
+					}
+					case "resume": {
+						const resuming = findLobby(message.code);
+						seat = resuming.resume(String(message.token), send);
+						lobby = resuming;
+						break;
+					}
+					case "move":
+						lobby.move(seat, message);
+						break;
+					case "leave":
+						if (lobby) lobby.leave(seat);
+						lobby = null;
+						break;
+					default:
+						throw new Error(`Unknown message type: ${message.type}.`);
+				}
+			} catch (err) {
+				send({ type: "error", message: err.message });
+			}
+		});
+
+		ws.on("close", () => {
+			sockets.delete(ws);
+			if (lobby) lobby.disconnect(seat, send);
+		});
+	});
+
+	// Drop connections that stopped answering (e.g. a laptop went to sleep),
+	// so their player gets the "disconnected" treatment
+	const heartbeat = setInterval(() => {
+		sockets.forEach(ws => (ws.alive ? ws.ping() : ws.destroy()));
+	}, HEARTBEAT_INTERVAL);
+	server.on("close", () => clearInterval(heartbeat));
+	return server;
+}
+
+// Read "--name value" pairs from the command line
+function parseArgs(args) {
+	const options = {};
+	for (let i = 0; i < args.length; i += 2) {
+		if (!args[i].startsWith("--") || args[i + 1] === undefined) {
+			throw new Error(`Unexpected argument: ${args[i]}`);
+		}
+		options[args[i].slice(2)] = args[i + 1];
+	}
+	return options;
+}
+
+function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const port = Number(args.port || 8080);
+	const host = args.host || "0.0.0.0";
+	if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error("--port must be a port number.");
+
+	const server = createServer();
+	// e.g. the port is taken (EADDRINUSE) or needs more rights (EACCES)
+	server.on("error", err => {
+		console.error(err.message);
+		process.exitCode = 1;
+		server.close(); // stops the heartbeat, so the process can end
+	});
+	server.listen(port, host, () => {
+		console.log(`Minesweeper server on http://${host === "0.0.0.0" ? "localhost" : host}:${port}/`);
+	});
+}
+
+// Only run when started from the command line, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+	try {
+		main();
+	} catch (err) {
+		console.error(err.message);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,170 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: settings.js
+ * Description: Board size, mine count and topology settings: presets and validation.
+ * Inputs/Outputs:
+ *   - Inputs: width, height and mine inputs, difficulty preset and topology selects
+ *   - Outputs: validated numeric settings, readable errors next to the form
+ * External Sources: TOPOLOGIES from ./topology.js
+ *
+ * The first click and its neighbors never hold a mine, so a board can take at
+ * most width × height − SAFE_ZONE mines; more than that and bomb placement
+ * would have nowhere left to go. Hexagonal cells only have 6 neighbors, so
+ * the same cap leaves them a little room to spare.
+ *
+ * DOM element requirements:
+ *  - #difficulty-preset and #topology selects, #grid-width, #grid-height and #bomb-count inputs
+ *  - #settings-error to show what is wrong with the entered values
+ */
+
+import { TOPOLOGIES } from "./topology.js";
+
+export const MIN_SIZE = 5;
+export const MAX_SIZE = 200;
+export const SAFE_ZONE = 9; // first click + its 8 neighbors
+
+export const PRESETS = {
+	beginner: { label: "Beginner", width: 9, height: 9, mines: 10 },
+	intermediate: { label: "Intermediate", width: 16, height: 16, mines: 40 },
+	expert: { label: "Expert", width: 30, height: 16, mines: 99 },
+};
+
+/**
+ * Most mines a board of this size can hold.
+ * @returns {number}
+ */
+export function maxMines(width, height) {
+	return Math.max(1, width * height - SAFE_ZONE);
+}
+
+/**
+ * Name of the preset matching these settings.
+ * @returns {string} Key of PRESETS, or "custom"
+ */
+export function presetFor(width, height, mines) {
+	const match = Object.keys(PRESETS).find(key => {
+		const preset = PRESETS[key];
+		return preset.width === width && preset.height === height && preset.mines === mines;
+	});
+	return match || "custom";
+}
+
+// Error that remembers which setting is wrong, so its input can be marked
+function settingError(field, message) {
+	const error = new Error(message);
+	error.field = field;
+	return error;
+}
+
+/**
+ * Turn raw settings (e.g. input values) into numbers and check them.
+ * @param {object} settings - { width, height, mines } as numbers or strings,
+ *   optional topology (key of TOPOLOGIES, defaults to "square")
+ * @returns {{width: number, height: number, mines: number, topology: string}}
+ * @throws {Error} with a readable message and the name of the bad field
+ */
+export function validateSettings({ width, height, mines, topology = "square" }) {
+	const values = { width: Number(width), height: Number(height), mines: Number(mines), topology };
+
+	if (!Object.hasOwn(TOPOLOGIES, topology)) {
+		throw settingError("topology", `Unknown board type: ${topology}.`);
+	}
+
+	["width", "height"].forEach(field => {
+		const value = values[field];
+		if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+			const name = field[0].toUpperCase() + field.slice(1);
+			throw settingError(field, `${name} must be a whole number from ${MIN_SIZE} to ${MAX_SIZE}.`);
+		}
+	});
+
+	const max = maxMines(values.width, values.height);
+	if (!Number.isInteger(values.mines) || values.mines < 1 || values.mines > max) {
+		throw settingError("mines", `Mines must be a whole number from 1 to ${max} on a ${values.width}x${values.height} board.`);
+	}
+	return values;
+}
+
+const INPUTS = { width: "grid-width", height: "grid-height", mines: "bomb-count", topology: "topology" };
+
+// Show (or clear, with an empty message) the error next to the form
+function showError(message, field) {
+	document.getElementById("settings-error").textContent = message;
+	Object.entries(INPUTS).forEach(([name, id]) => {
+		document.getElementById(id).setAttribute("aria-invalid", String(name === field));
+	});
+}
+
+/**
+ * Read and validate the settings form.
+ * @returns {object|null} { width, height, mines, topology }, or null after showing what is wrong
+ */
+export function readSettings() {
+	try {
+		const settings = validateSettings({
+			width: document.getElementById(INPUTS.width).value,
+			height: document.getElementById(INPUTS.height).value,
+			mines: document.getElementById(INPUTS.mines).value,
+			topology: document.getElementById(INPUTS.topology).value,
+		});
+		showError("", null);
+		return settings;
+	} catch (err) {
+		showError(err.message, err.field);
+		return null;
+	}
+}
+
+/**
+ * Fill the form with a preset, or with any settings (e.g. of a restored game).
+ * Presets have no topology, the selected one is kept.
+ */
+export function showSettings({ width, height, mines, topology }) {
+	document.getElementById(INPUTS.width).value = width;
+	document.getElementById(INPUTS.height).value = height;
+	document.getElementById(INPUTS.mines).value = mines;
+	if (topology) document.getElementById(INPUTS.topology).value = topology;
+	syncForm();
+}
+
+// Keep the preset select and the mine cap in line with the entered size
+function syncForm() {
+	const width = Number(document.getElementById(INPUTS.width).value);
+	const height = Number(document.getElementById(INPUTS.height).value);
+	const mines = Number(document.getElementById(INPUTS.mines).value);
+	if (Number.isInteger(width) && Number.isInteger(height)) {
+		document.getElementById(INPUTS.mines).max = maxMines(width, height);
+	}
+	document.getElementById("difficulty-preset").value = presetFor(width, height, mines);
+}
+
+/**
+ * Wire up the preset and topology selects and the size inputs.
+ */
+export function setupSettings() {
+	const topologies = document.getElementById(INPUTS.topology);
+	Object.entries(TOPOLOGIES).forEach(([key, label]) => {
+		const option = document.createElement("option");
+		option.value = key;
+		option.textContent = label;
+		topologies.appendChild(option);
+	});
+
+	const select = document.getElementById("difficulty-preset");
+	Object.entries(PRESETS).forEach(([key, preset]) => {
+		const option = document.createElement("option");
+		option.value = key;
+		option.textContent = `${preset.label} (${preset.width}x${preset.height}, ${preset.mines} mines)`;
+		select.insertBefore(option, select.lastElementChild); // "Custom" stays last
+	});
+
+	select.addEventListener("change", () => {
+		if (PRESETS[select.value]) showSettings(PRESETS[select.value]);
+		showError("", null);
+	});
+	Object.values(INPUTS).forEach(id => {
+		document.getElementById(id).addEventListener("input", syncForm);
+	});
+	syncForm();
+}
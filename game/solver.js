@@ -0,0 +1,595 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: solver.js
+ * Description: Constraint solver used by the AI players and the no-guess board generator.
+ * Inputs/Outputs:
+ *   - Inputs: a board snapshot describing only what a player can see
+ *   - Outputs: proven safe cells / mines, per-cell mine probabilities, chosen AI moves
+ * External Sources: neighborsOf from ./topology.js
+ *
+ * Board snapshot format:
+ *   {
+ *     w, h,      → board dimensions
+ *     topology,  → optional key of TOPOLOGIES in topology.js (defaults to "square")
+ *     mines,     → total number of mines on the board
+ *     cells      → cells[y][x]: 0-8 for an uncovered number, COVERED or FLAGGED
+ *   }
+ *
+ * Flags are treated as unknown cells. They might have been placed by a player
+ * who guessed wrong, so the solver only trusts the uncovered numbers.
+ *
+ * Key functions:
+ * - findCertainMoves(snapshot): Single-cell deductions (a number whose remaining
+ *   neighbors must all be mines or all be safe), repeated until nothing changes.
+ * - computeProbabilities(snapshot): Enumerates every arrangement of mines along
+ *   the revealed frontier and weighs them against the total mine count to get
+ *   the exact chance that each covered cell holds a mine.
+ * - chooseMove(snapshot, difficulty): Picks the next cell to reveal and the
+ *   cells to flag for the easy, medium and hard AI.
+ * - isSolvable(map, startX, startY, mines, deadline): Plays a full board using only logic
+ *   to check that it can be cleared from the first click without guessing.
+ * - snapshotOf(map, mines): Snapshot of a Map as a player would see it.
+ * - findHint(snapshot): The cell a player should reveal next, for the hint button.
+ */
+
+import { neighborsOf } from "./topology.js";
+
+export const COVERED = -1; // cell has not been uncovered yet
+export const FLAGGED = -2; // covered cell with a flag on it
+
+// Cap on backtracking steps before computeProbabilities gives up on being exact
+const SEARCH_BUDGET = 200000;
+
+/**
+ * List the coordinates of the cells surrounding (x, y) in the snapshot's topology.
+ * @param {object} snapshot - Board snapshot
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number[][]} Array of [x, y] pairs
+ */
+export function neighbors(snapshot, x, y) {
+	return neighborsOf(snapshot.topology || "square", snapshot.w, snapshot.h, x, y);
+}
+
+// true if the cell has not been uncovered (flagged cells count as covered)
+function isUnknown(value) {
+	return value === COVERED || value === FLAGGED;
+}
+
+/**
+ * Apply the single-cell deductions until no new cell can be proven.
+ * @param {object} snapshot - Board snapshot
+ * @returns {{safe: number[][], mines: number[][]}} Proven safe cells and proven mines
+ */
+export function findCertainMoves(snapshot) {
+	const known = new Map(); // "x,y" → 0 (safe) or 1 (mine)
+	let changed = true;
+
+	while (changed) {
+		changed = false;
+		for (let y = 0; y < snapshot.h; y++) {
+			for (let x = 0; x < snapshot.w; x++) {
+				const number = snapshot.cells[y][x];
+				if (isUnknown(number)) continue;
+
+				// Split the surrounding cells into known mines and still-unknown cells
+				let mines = 0;
+				const unknown = [];
+				for (const [nx, ny] of neighbors(snapshot, x, y)) {
+					if (!isUnknown(snapshot.cells[ny][nx])) continue;
+					const state = known.get(`${nx},${ny}`);
+					if (state === 1) {
+						mines++;
+					} else if (state === undefined) {
+						unknown.push(`${nx},${ny}`);
+					}
+				}
+				if (unknown.length === 0) continue;
+
+				// Every mine is accounted for → the rest is safe.
+				// Every unknown cell is needed to reach the number → they are all mines.
+				let value;
+				if (number - mines === 0) {
+					value = 0;
+				} else if (number - mines === unknown.length) {
+					value = 1;
+				} else {
+					continue;
+				}
+				unknown.forEach(key => known.set(key, value));
+				changed = true;
+			}
+		}
+	}
+
+	const safe = [];
+	const mines = [];
+	known.forEach((value, key) => {
+		const cell = key.split(",").map(Number);
+		(value === 1 ? mines : safe).push(cell);
+	});
+	return { safe, mines };
+}
+
+// log(n!) lookup table, so huge binomial coefficients can be compared safely
+function logFactorials(n) {
+	const table = [0];
+	for (let i = 1; i <= n; i++) {
+		table[i] = table[i - 1] + Math.log(i);
+	}
+	return table;
+}
+
+/**
+ * Build the frontier constraints: one per uncovered number that still
+ * touches unknown cells. Variables are indexes into the returned cell list.
+ */
+function buildConstraints(snapshot) {
+	const index = new Map(); // "x,y" → variable index
+	const cells = [];
+	const constraints = [];
+
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			const number = snapshot.cells[y][x];
+			if (isUnknown(number)) continue;
+
+			const vars = [];
+			for (const [nx, ny] of neighbors(snapshot, x, y)) {
+				if (!isUnknown(snapshot.cells[ny][nx])) continue;
+				const key = `${nx},${ny}`;
+				if (!index.has(key)) {
+					index.set(key, cells.length);
+					cells.push([nx, ny]);
+				}
+				vars.push(index.get(key));
+			}
+			if (vars.length > 0) constraints.push({ vars, value: number });
+		}
+	}
+	return { cells, constraints };
+}
+
+/**
+ * Group frontier variables that share a constraint, since separate groups
+ * can be enumerated independently of each other.
+ */
+function splitComponents(cellCount, constraints) {
+	const parent = [];
+	for (let i = 0; i < cellCount; i++) parent[i] = i;
+	const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+	constraints.forEach(({ vars }) => {
+		for (let i = 1; i < vars.length; i++) {
+			parent[find(vars[i])] = find(vars[0]);
+		}
+	});
+
+	const groups = new Map(); // root → { vars, constraints }
+	constraints.forEach(constraint => {
+		const root = find(constraint.vars[0]);
+		if (!groups.has(root)) groups.set(root, { vars: [], constraints: [] });
+		groups.get(root).constraints.push(constraint);
+	});
+
+	// Order variables by the constraint they first appear in, so neighboring
+	// cells are assigned together and contradictions are found early.
+	groups.forEach(group => {
+		const seen = new Set();
+		group.constraints.forEach(({ vars }) => {
+			vars.forEach(v => {
+				if (!seen.has(v)) {
+					seen.add(v);
+					group.vars.push(v);
+				}
+			});
+		});
+	});
+	return [...groups.values()];
+}
+
+/**
+ * Enumerate every valid mine arrangement for one component.
+ * @returns {Array|null} dist[k] = { ways, hits } where ways counts arrangements
+ *   using k mines and hits[i] counts those in which vars[i] is a mine.
+ *   null if the search budget ran out.
+ */
+function enumerateComponent(component, budget) {
+	const { vars, constraints } = component;
+	const position = new Map(); // variable → position in vars
+	vars.forEach((v, i) => position.set(v, i));
+
+	// For every variable, the constraints it takes part in
+	const touching = vars.map(() => []);
+	const sums = constraints.map(() => 0);
+	const open = constraints.map(c => c.vars.length);
+	constraints.forEach((c, ci) => c.vars.forEach(v => touching[position.get(v)].push(ci)));
+
+	const assignment = new Array(vars.length).fill(0);
+	const dist = [];
+
+	const fits = (i, value) => touching[i].every(ci => {
+		const sum = sums[ci] + value;
+		const left = open[ci] - 1;
+		return sum <= constraints[ci].value && sum + left >= constraints[ci].value;
+	});
+
+	const search = (i, mines) => {
+		if (--budget.steps < 0) return false;
+		if (i === vars.length) {
+			if (!dist[mines]) dist[mines] = { ways: 0, hits: new Array(vars.length).fill(0) };
+			dist[mines].ways++;
+			assignment.forEach((value, j) => (dist[mines].hits[j] += value));
+			return true;
+		}
+		for (const value of [0, 1]) {
+			if (!fits(i, value)) continue;
+			assignment[i] = value;
+			touching[i].forEach(ci => {
+				sums[ci] += value;
+				open[ci]--;
+			});
+			const finished = search(i + 1, mines + value);
+			touching[i].forEach(ci => {
+				sums[ci] -= value;
+				open[ci]++;
+			});
+			assignment[i] = 0;
+			if (!finished) return false;
+		}
+		return true;
+	};
+
+	return search(0, 0) ? dist : null;
+}
+
+// Multiply two mine-count distributions (arrays of ways indexed by mine count)
+function convolve(a, b) {
+	const result = [];
+	a.forEach((wa, i) => {
+		if (!wa) return;
+		b.forEach((wb, j) => {
+			if (!wb) return;
+			result[i + j] = (result[i + j] || 0) + wa * wb;
+		});
+	});
+	return result;
+}
+
+/**
+ * Compute the probability that every covered cell holds a mine.
+ * @param {object} snapshot - Board snapshot (snapshot.mines must be set)
+ * @returns {{probabilities: Array, exact: boolean}} probabilities[y][x] is a
+ *   number in [0, 1] for covered cells and null for uncovered ones. exact is
+ *   false when the frontier was too large to enumerate and the values are estimates.
+ */
+export function computeProbabilities(snapshot) {
+	const probabilities = [];
+	let unknownCount = 0;
+	for (let y = 0; y < snapshot.h; y++) {
+		probabilities[y] = [];
+		for (let x = 0; x < snapshot.w; x++) {
+			probabilities[y][x] = null;
+			if (isUnknown(snapshot.cells[y][x])) unknownCount++;
+		}
+	}
+
+	const { cells, constraints } = buildConstraints(snapshot);
+	const interior = unknownCount - cells.length; // covered cells away from any number
+	const components = splitComponents(cells.length, constraints);
+
+	const budget = { steps: SEARCH_BUDGET };
+	const dists = components.map(component => enumerateComponent(component, budget));
+	if (dists.some(dist => dist === null)) {
+		return { probabilities: estimateProbabilities(snapshot, probabilities), exact: false };
+	}
+
+	// Weight of an arrangement that puts k mines on the frontier: the number of
+	// ways to place the remaining mines among the interior cells.
+	const logFact = logFactorials(snapshot.w * snapshot.h);
+	const logChoose = (n, k) => logFact[n] - logFact[k] - logFact[n - k];
+	const maxFrontier = dists.reduce((total, dist) => total + dist.length - 1, 0);
+	const weights = [];
+	let base = -Infinity;
+	for (let k = 0; k <= maxFrontier; k++) {
+		const rest = snapshot.mines - k;
+		weights[k] = rest >= 0 && rest <= interior ? logChoose(interior, rest) : -Infinity;
+		base = Math.max(base, weights[k]);
+	}
+	const weight = k => (k < weights.length ? Math.exp(weights[k] - base) : 0);
+
+	const ways = dists.map(dist => dist.map(entry => (entry ? entry.ways : 0)));
+
+	// With hundreds of components (huge boards) the products below would
+	// overflow, so every array is scaled to a maximum of 1 and the log of the
+	// scale is kept next to it; the scales cancel out in the final ratios.
+	const normalize = (values, logScale) => {
+		const max = values.reduce((m, v) => Math.max(m, v), 0);
+		if (max === 0) return { values, logScale };
+		return { values: values.map(v => v / max), logScale: logScale + Math.log(max) };
+	};
+
+	// after[i](t): weight of every arrangement of the components after i, given
+	// t mines already placed by the components up to and including i.
+	// Built back to front, so each component costs one pass instead of
+	// convolving all the others again.
+	const after = [];
+	after[components.length - 1] = { values: weights.map((_, t) => weight(t)), logScale: 0 };
+	for (let i = components.length - 1; i > 0; i--) {
+		const next = after[i].values;
+		const values = next.map((_, t) => {
+			let sum = 0;
+			ways[i].forEach((w, j) => {
+				if (w && t + j < next.length) sum += w * next[t + j];
+			});
+			return sum;
+		});
+		after[i - 1] = normalize(values, after[i].logScale);
+	}
+
+	// before: combined distribution of the components before i, built front to back
+	let before = { values: [1], logScale: 0 };
+	const hitsPerComponent = components.map((component, i) => {
+		const rest = after[i].values;
+		const hits = new Array(component.vars.length).fill(0);
+		dists[i].forEach((entry, k) => {
+			if (!entry) return;
+			let factor = 0;
+			before.values.forEach((w, p) => {
+				if (w && k + p < rest.length) factor += w * rest[k + p];
+			});
+			entry.hits.forEach((h, j) => (hits[j] += h * factor));
+		});
+		const logScale = before.logScale + after[i].logScale;
+		before = normalize(convolve(before.values, ways[i]), before.logScale);
+		return { hits, logScale };
+	});
+	const all = before.values; // every component combined
+
+	let total = 0;
+	let interiorMines = 0;
+	all.forEach((w, k) => {
+		if (!w) return;
+		total += w * weight(k);
+		interiorMines += w * weight(k) * (snapshot.mines - k);
+	});
+	// Contradictory board (e.g. more mines shown than exist); nothing useful to say
+	if (total === 0) {
+		return { probabilities: estimateProbabilities(snapshot, probabilities), exact: false };
+	}
+
+	components.forEach((component, i) => {
+		const { hits, logScale } = hitsPerComponent[i];
+		const scale = Math.exp(logScale - before.logScale);
+		component.vars.forEach((v, j) => {
+			const [x, y] = cells[v];
+			probabilities[y][x] = (hits[j] * scale) / total;
+		});
+	});
+
+	const interiorChance = interior > 0 ? interiorMines / total / interior : 0;
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			if (isUnknown(snapshot.cells[y][x]) && probabilities[y][x] === null) {
+				probabilities[y][x] = interiorChance;
+			}
+		}
+	}
+	return { probabilities, exact: true };
+}
+
+/**
+ * Fallback when the frontier is too large to enumerate: proven cells get 0 or 1,
+ * cells next to numbers get the highest local mine density around them, and
+ * everything else gets the average density of the mines left over.
+ */
+function estimateProbabilities(snapshot, probabilities) {
+	const { safe, mines } = findCertainMoves(snapshot);
+	safe.forEach(([x, y]) => (probabilities[y][x] = 0));
+	mines.forEach(([x, y]) => (probabilities[y][x] = 1));
+
+	let unknown = 0;
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			const number = snapshot.cells[y][x];
+			if (isUnknown(number)) {
+				unknown++;
+				continue;
+			}
+			const around = neighbors(snapshot, x, y).filter(([nx, ny]) => isUnknown(snapshot.cells[ny][nx]));
+			const open = around.filter(([nx, ny]) => probabilities[ny][nx] !== 0 && probabilities[ny][nx] !== 1);
+			const left = number - around.filter(([nx, ny]) => probabilities[ny][nx] === 1).length;
+			open.forEach(([nx, ny]) => {
+				const density = left / open.length;
+				probabilities[ny][nx] = Math.max(probabilities[ny][nx] ?? 0, density);
+			});
+		}
+	}
+
+	const density = unknown > 0 ? Math.max(0, snapshot.mines - mines.length) / unknown : 0;
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			if (isUnknown(snapshot.cells[y][x]) && probabilities[y][x] === null) {
+				probabilities[y][x] = density;
+			}
+		}
+	}
+	return probabilities;
+}
+
+// Pick a random element of a list (null for an empty list)
+function pick(list, random) {
+	if (list.length === 0) return null;
+	return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Decide the next AI move.
+ * - easy: reveal a random covered cell.
+ * - medium: flag/reveal what the single-cell deductions prove, otherwise guess randomly.
+ * - hard: run the full constraint solver and reveal the cell least likely to be a mine.
+ * @param {object} snapshot - Board snapshot
+ * @param {string} difficulty - "easy", "medium" or "hard"
+ * @param {function} random - Random number source, defaults to Math.random
+ * @returns {{reveal: {x, y}|null, flags: Array<{x, y}>, certain: boolean}}
+ *   reveal is the cell to click, flags are proven mines without a flag yet,
+ *   certain is true if the revealed cell is proven safe.
+ */
+export function chooseMove(snapshot, difficulty, random = Math.random) {
+	const toCell = ([x, y]) => ({ x, y });
+	const covered = [];
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			if (snapshot.cells[y][x] === COVERED) covered.push([x, y]);
+		}
+	}
+	const move = { reveal: null, flags: [], certain: false };
+	if (covered.length === 0) return move;
+
+	if (difficulty === "medium") {
+		const { safe, mines } = findCertainMoves(snapshot);
+		move.flags = mines.filter(([x, y]) => snapshot.cells[y][x] === COVERED).map(toCell);
+		const options = safe.filter(([x, y]) => snapshot.cells[y][x] === COVERED);
+		move.certain = options.length > 0;
+		// Never guess on a cell that was just proven to be a mine
+		const guesses = covered.filter(([x, y]) => !mines.some(([mx, my]) => mx === x && my === y));
+		move.reveal = toCell(pick(options.length > 0 ? options : guesses.length > 0 ? guesses : covered, random));
+		return move;
+	}
+
+	if (difficulty === "hard") {
+		const { probabilities } = computeProbabilities(snapshot);
+		move.flags = covered.filter(([x, y]) => probabilities[y][x] === 1).map(toCell);
+
+		// Collect every covered cell that shares the lowest mine probability
+		let best = Infinity;
+		let options = [];
+		covered.forEach(([x, y]) => {
+			const p = probabilities[y][x];
+			if (p < best - 1e-9) {
+				best = p;
+				options = [[x, y]];
+			} else if (Math.abs(p - best) <= 1e-9) {
+				options.push([x, y]);
+			}
+		});
+		move.certain = best === 0;
+		move.reveal = toCell(pick(options, random));
+		return move;
+	}
+
+	move.reveal = toCell(pick(covered, random));
+	return move;
+}
+
+/**
+ * Find the best cell for a player to reveal: one proven safe if there is any,
+ * otherwise the covered cell least likely to be a mine. Unlike chooseMove the
+ * answer is deterministic (first such cell in reading order), so asking twice
+ * points at the same cell.
+ * @param {object} snapshot - Board snapshot
+ * @returns {{x, y, probability: number, certain: boolean}|null} null if nothing is covered
+ */
+export function findHint(snapshot) {
+	const { safe } = findCertainMoves(snapshot);
+	const proven = safe.find(([x, y]) => snapshot.cells[y][x] === COVERED);
+	if (proven) return { x: proven[0], y: proven[1], probability: 0, certain: true };
+
+	const { probabilities } = computeProbabilities(snapshot);
+	let hint = null;
+	for (let y = 0; y < snapshot.h; y++) {
+		for (let x = 0; x < snapshot.w; x++) {
+			if (snapshot.cells[y][x] !== COVERED) continue;
+			const probability = probabilities[y][x];
+			if (!hint || probability < hint.probability - 1e-9) {
+				hint = { x, y, probability, certain: probability === 0 };
+			}
+		}
+	}
+	return hint;
+}
+
+/**
+ * Describe a board the way a player sees it (used by the AIs that play
+ * on a Map directly instead of reading the page).
+ * An uncovered bomb (hit under the versus penalty rule) is a known mine,
+ * it is passed on as FLAGGED like a flag would be.
+ * @param {object} map - Board with w, h and getCell(x, y, i) (see Map in map.js)
+ * @param {number} mines - Number of bombs on the board
+ * @returns {object} Board snapshot
+ */
+export function snapshotOf(map, mines) {
+	const snapshot = { w: map.w, h: map.h, topology: map.topology, mines, cells: [] };
+	for (let y = 0; y < map.h; y++) {
+		snapshot.cells[y] = [];
+		for (let x = 0; x < map.w; x++) {
+			if (map.getCell(x, y, 3) === 1) {
+				snapshot.cells[y][x] = map.getCell(x, y, 2) === 1 ? FLAGGED : COVERED;
+			} else {
+				snapshot.cells[y][x] = map.getCell(x, y, 1) === 1 ? FLAGGED : map.getCell(x, y, 0);
+			}
+		}
+	}
+	return snapshot;
+}
+
+/**
+ * Check whether a board can be cleared from the first click using logic alone.
+ * Plays the board the way a perfect player would: reveal everything that is
+ * proven safe (single-cell deductions first, then the full constraint solver)
+ * and give up as soon as the only remaining moves are guesses.
+ * @param {object} map - Board with w, h and getCell(x, y, i) (see Map in map.js)
+ * @param {number} startX - X coordinate of the first click
+ * @param {number} startY - Y coordinate of the first click
+ * @param {number} mines - Number of bombs on the board
+ * @param {number} deadline - Date.now() value after which to give up (counts as not solvable)
+ * @returns {boolean} true if no guess is ever needed
+ */
+export function isSolvable(map, startX, startY, mines, deadline = Infinity) {
+	const snapshot = { w: map.w, h: map.h, topology: map.topology, mines, cells: [] };
+	let safeLeft = 0;
+	for (let y = 0; y < map.h; y++) {
+		snapshot.cells[y] = [];
+		for (let x = 0; x < map.w; x++) {
+			snapshot.cells[y][x] = COVERED;
+			if (map.getCell(x, y, 1) === 0) safeLeft++;
+		}
+	}
+
+	// Uncover a cell, spreading over empty cells like Map.floodFill does
+	let hitBomb = false;
+	const reveal = (startCellX, startCellY) => {
+		const stack = [[startCellX, startCellY]];
+		while (stack.length > 0) {
+			const [x, y] = stack.pop();
+			if (snapshot.cells[y][x] !== COVERED) continue;
+			if (map.getCell(x, y, 1) === 1) {
+				hitBomb = true;
+				return;
+			}
+			const number = map.getCell(x, y, 0);
+			snapshot.cells[y][x] = number;
+			safeLeft--;
+			if (number === 0) stack.push(...neighbors(snapshot, x, y));
+		}
+	};
+
+	reveal(startX, startY);
+	while (safeLeft > 0 && !hitBomb) {
+		if (Date.now() > deadline) return false; // huge boards can take too long to check
+		let { safe } = findCertainMoves(snapshot);
+		if (safe.length === 0) {
+			// Harder patterns and the mine count (only cells proven safe count)
+			const { probabilities } = computeProbabilities(snapshot);
+			for (let y = 0; y < map.h; y++) {
+				for (let x = 0; x < map.w; x++) {
+					if (snapshot.cells[y][x] === COVERED && probabilities[y][x] === 0) safe.push([x, y]);
+				}
+			}
+		}
+		if (safe.length === 0) return false; // stuck, a guess would be needed
+		safe.forEach(([x, y]) => reveal(x, y));
+	}
+	return !hitBomb;
+}
@@ -0,0 +1,157 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: sounds.js
+ * Description: Sound effects for board events, synthesized with the Web Audio API.
+ * Inputs/Outputs:
+ *   - Inputs: board events (reveal, flood fill, flag, bomb) and game results,
+ *     the sound volume slider
+ *   - Outputs: short tones and noise bursts, volume persisted in localStorage
+ * External Sources: Web Audio API (built into the browser, no sound files)
+ *
+ * Cues:
+ *   reveal     → short tick
+ *   flood fill → rising sweep, longer for bigger areas
+ *   flag       → blip, up when placed and down when removed
+ *   bomb       → filtered noise burst
+ *   win / lose → short major / minor arpeggio
+ * AI moves use a square wave an octave lower, so they sound different from
+ * the player's.
+ *
+ * DOM element requirements:
+ *  - #sound-volume range input (0-1)
+ */
+
+const STORAGE_KEY = "minesweeper-sound-volume";
+const DEFAULT_VOLUME = 0.5;
+
+function loadVolume() {
+	try {
+		const volume = parseFloat(localStorage.getItem(STORAGE_KEY));
+		return Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : DEFAULT_VOLUME;
+	} catch (e) {
+		return DEFAULT_VOLUME;
+	}
+}
+
+// SOUND EFFECTS CLASS 🔔 —————————————————————————————————————————————————————————————————————————
+export class SoundEffects {
+	constructor() {
+		this.context = null; // AudioContext, created on the first sound (after a user gesture)
+		this.volume = loadVolume();
+
+		const slider = document.getElementById("sound-volume");
+		slider.value = this.volume;
+		slider.addEventListener("input", () => {
+			this.volume = Number(slider.value);
+			try {
+				localStorage.setItem(STORAGE_KEY, String(this.volume));
+			} catch (e) {
+				// Storage full or unavailable, volume just resets next time
+			}
+		});
+	}
+
+	/**
+	 * Get the audio context, or null if sound is off or unsupported.
+	 * @returns {AudioContext|null}
+	 */
+	audio() {
+		if (this.volume === 0) return null;
+		if (!this.context) {
+			const AudioContext = window.AudioContext || window.webkitAudioContext;
+			if (!AudioContext) return null;
+			this.context = new AudioContext();
+		}
+		if (this.context.state === "suspended") this.context.resume();
+		return this.context;
+	}
+
+	/**
+	 * Play one tone.
+	 * @param {object} options - { frequency, endFrequency, duration (s), delay (s), type, gain }
+	 */
+	tone({ frequency, endFrequency = frequency, duration = 0.08, delay = 0, type = "sine", gain = 0.3 }) {
+		const context = this.audio();
+		if (!context) return;
+		const start = context.currentTime + delay;
+		const oscillator = context.createOscillator();
+		const envelope = context.createGain();
+		oscillator.type = type;
+		oscillator.frequency.setValueAtTime(frequency, start);
+		oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+		// Quick fade in/out so tones don't click
+		envelope.gain.setValueAtTime(0.0001, start);
+		envelope.gain.exponentialRampToValueAtTime(gain * this.volume, start + 0.01);
+		envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+		oscillator.connect(envelope).connect(context.destination);
+		oscillator.start(start);
+		oscillator.stop(start + duration + 0.02);
+	}
+
+	// Waveform and pitch of a side: the AI sounds lower and buzzier
+	voice(byAI) {
+		return byAI ? { type: "square", pitch: 0.5, gain: 0.12 } : { type: "sine", pitch: 1, gain: 0.3 };
+	}
+
+	/**
+	 * @param {number} count - Cells uncovered (more than 1 is a flood fill)
+	 * @param {boolean} byAI - true for AI moves
+	 */
+	reveal(count, byAI) {
+		const { type, pitch, gain } = this.voice(byAI);
+		if (count <= 1) {
+			this.tone({ frequency: 880 * pitch, duration: 0.05, type, gain });
+			return;
+		}
+		// Bigger areas sweep higher and longer
+		const duration = Math.min(0.4, 0.1 + count * 0.005);
+		this.tone({ frequency: 440 * pitch, endFrequency: Math.min(2000, 660 + count * 10) * pitch, duration, type, gain });
+	}
+
+	/**
+	 * @param {boolean} placed - true when a flag was placed, false when removed
+	 * @param {boolean} byAI - true for AI moves
+	 */
+	flag(placed, byAI) {
+		const { type, pitch, gain } = this.voice(byAI);
+		const [from, to] = placed ? [600, 900] : [900, 600];
+		this.tone({ frequency: from * pitch, endFrequency: to * pitch, duration: 0.1, type, gain });
+	}
+
+	explosion() {
+		const context = this.audio();
+		if (!context) return;
+		// One second of white noise through a closing low-pass filter
+		const length = context.sampleRate;
+		const buffer = context.createBuffer(1, length, context.sampleRate);
+		const data = buffer.getChannelData(0);
+		for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+
+		const noise = context.createBufferSource();
+		const filter = context.createBiquadFilter();
+		const envelope = context.createGain();
+		const now = context.currentTime;
+		noise.buffer = buffer;
+		filter.type = "lowpass";
+		filter.frequency.setValueAtTime(2000, now);
+		filter.frequency.exponentialRampToValueAtTime(60, now + 0.8);
+		envelope.gain.setValueAtTime(0.8 * this.volume, now);
+		envelope.gain.exponentialRampToValueAtTime(0.0001, now + 1);
+		noise.connect(filter).connect(envelope).connect(context.destination);
+		noise.start(now);
+		this.tone({ frequency: 120, endFrequency: 40, duration: 0.5, gain: 0.5 }); // low thump
+	}
+
+	win() {
+		[523, 659, 784, 1047].forEach((frequency, i) => {
+			this.tone({ frequency, duration: 0.18, delay: i * 0.12, type: "triangle", gain: 0.3 });
+		});
+	}
+
+	lose() {
+		[392, 311, 262].forEach((frequency, i) => {
+			this.tone({ frequency, duration: 0.25, delay: 0.3 + i * 0.18, type: "triangle", gain: 0.25 });
+		});
+	}
+}
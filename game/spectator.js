@@ -0,0 +1,136 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: spectator.js
+ * Description: AI vs AI spectator mode (or one AI playing on its own).
+ * Inputs/Outputs:
+ *   - Inputs: difficulties of the two AIs, speed slider, start/pause/step/stop clicks
+ *   - Outputs: moves played on the game's board, one at a time
+ * External Sources: chooseMove and snapshotOf from ./solver.js
+ *
+ * The first AI plays the "player" side of the board and the second the "ai"
+ * side, so versus scoring and the move log work the same as in a Player vs AI
+ * game. The human can't click the board while a match is being watched.
+ *
+ * DOM element requirements:
+ *  - #spectate-first and #spectate-second selects, #spectate-speed range input
+ *  - #spectate-start, #spectate-pause, #spectate-step and #spectate-stop buttons
+ */
+
+import { chooseMove, snapshotOf } from "./solver.js";
+
+const LABELS = { easy: "Easy AI", medium: "Medium AI", hard: "Hard AI" };
+
+// SPECTATOR CLASS 👀 —————————————————————————————————————————————————————————————————————————————
+export class Spectator {
+	/**
+	 * @param {Game} game - Game whose board the AIs play on
+	 */
+	constructor(game) {
+		this.game = game;
+		this.sides = []; // [{ side, difficulty, name }] in turn order
+		this.turn = 0; // index in sides of the AI to move next
+		this.timer = undefined; // timeout of the next move while playing
+		this.running = false; // true while a match is being watched
+		this.paused = false;
+
+		const on = (id, fn) => document.getElementById(id).addEventListener("click", fn);
+		on("spectate-start", () => this.start());
+		on("spectate-pause", () => (this.paused ? this.resume() : this.pause()));
+		on("spectate-step", () => this.step());
+		on("spectate-stop", () => this.stop());
+		this.updateButtons();
+	}
+
+	/**
+	 * Start a new board with the selected AIs.
+	 */
+	start() {
+		this.stop();
+		const first = document.getElementById("spectate-first").value;
+		const second = document.getElementById("spectate-second").value;
+		if (!this.game.createMap()) return;
+
+		this.sides = [{ side: "player", difficulty: first, name: LABELS[first] }];
+		if (second !== "none") {
+			// Same difficulty twice still needs two names
+			const name = second === first ? `${LABELS[second]} 2` : LABELS[second];
+			this.sides.push({ side: "ai", difficulty: second, name });
+		}
+		this.game.startSpectating(this.sides);
+		this.turn = 0;
+		this.running = true;
+		this.paused = false;
+		this.updateButtons();
+		this.schedule();
+	}
+
+	/**
+	 * Stop watching; the board stays as it is.
+	 */
+	stop() {
+		clearTimeout(this.timer);
+		if (this.running) this.game.stopSpectating();
+		this.running = false;
+		this.paused = false;
+		this.updateButtons();
+	}
+
+	pause() {
+		clearTimeout(this.timer);
+		this.paused = true;
+		this.updateButtons();
+	}
+
+	resume() {
+		this.paused = false;
+		this.updateButtons();
+		this.schedule();
+	}
+
+	// Play the next move after the delay set on the speed slider
+	schedule() {
+		clearTimeout(this.timer);
+		if (!this.running || this.paused) return;
+		const delay = Number(document.getElementById("spectate-speed").value);
+		this.timer = setTimeout(() => {
+			this.step();
+			this.schedule();
+		}, delay);
+	}
+
+	/**
+	 * Play one move: the AI flags what it has proven, then reveals a cell.
+	 */
+	step() {
+		if (!this.running) return;
+
+		const game = this.game;
+		const { side, difficulty, name } = this.sides[this.turn];
+		const move = chooseMove(snapshotOf(game.map, Number(game.bombs)), difficulty);
+		if (!move.reveal) {
+			this.stop();
+			return;
+		}
+
+		move.flags.forEach(({ x, y }) => game.handleMove("flag", x, y, side));
+		game.handleMove("reveal", move.reveal.x, move.reveal.y, side);
+
+		if (game.started) {
+			this.turn = (this.turn + 1) % this.sides.length;
+			const guess = move.certain ? "" : " (guess)";
+			game.showSpectatorMove(`${name} revealed (${move.reveal.x}, ${move.reveal.y})${guess}.`);
+		} else {
+			// The move ended the game
+			this.stop();
+		}
+	}
+
+	// Enable the controls that make sense right now
+	updateButtons() {
+		document.getElementById("spectate-pause").disabled = !this.running;
+		document.getElementById("spectate-pause").textContent = this.paused ? "▶ Resume" : "⏸ Pause";
+		document.getElementById("spectate-step").disabled = !this.running || !this.paused;
+		document.getElementById("spectate-stop").disabled = !this.running;
+	}
+}
@@ -0,0 +1,172 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: stats.js
+ * Description: Per-game records and aggregated player statistics.
+ * Inputs/Outputs:
+ *   - Inputs: a record for every finished game (see recordGame)
+ *   - Outputs: records persisted in localStorage, summary numbers and the
+ *     statistics panel in the settings area
+ * External Sources: TOPOLOGIES from ./topology.js
+ *
+ * Game record format:
+ *   {
+ *     date,          → ISO timestamp of when the game ended
+ *     width, height, → board size
+ *     mines,         → number of bombs
+ *     topology,      → "square", "torus" or "hex" (missing in older records = "square")
+ *     time,          → milliseconds from first click to the end
+ *     clicks,        → player clicks (reveal, flag and chord)
+ *     bbbv,          → 3BV: minimum number of clicks needed to clear the board
+ *     hints,         → hints used (hint button, probability overlay)
+ *     result,        → "win", "lose" or "draw" (AI games decided on points)
+ *     aiMode,        → null for solo games, otherwise "easy" / "medium" / "hard"
+ *     seed           → seed of the board, so it can be replayed
+ *   }
+ */
+
+import { TOPOLOGIES } from "./topology.js";
+
+const STORAGE_KEY = "minesweeper-stats";
+const MAX_RECORDS = 500; // oldest records are dropped beyond this
+
+/**
+ * Read every stored game record (oldest first).
+ * @returns {object[]}
+ */
+export function loadRecords() {
+	try {
+		const records = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return Array.isArray(records) ? records : [];
+	} catch (e) {
+		// No localStorage (e.g. Node) or corrupted data
+		return [];
+	}
+}
+
+/**
+ * Store the record of a finished game.
+ * @param {object} record - Game record (see format above)
+ */
+export function recordGame(record) {
+	const records = loadRecords();
+	records.push(record);
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(records.slice(-MAX_RECORDS)));
+	} catch (e) {
+		// Storage full or unavailable, statistics just aren't kept
+	}
+}
+
+/**
+ * Remove every stored record.
+ */
+export function clearRecords() {
+	try {
+		localStorage.removeItem(STORAGE_KEY);
+	} catch (e) {
+		// Nothing stored
+	}
+}
+
+// Key that identifies a board configuration, e.g. "10x10/10" or "10x10/10 hex"
+export function configKey(width, height, mines, topology = "square") {
+	const key = `${width}x${height}/${mines}`;
+	return topology === "square" ? key : `${key} ${topology}`;
+}
+
+/**
+ * Split a configuration key into readable parts.
+ * @param {string} key - See configKey
+ * @returns {{size: string, mines: string, topology: string}} e.g. "10x10", "10", "Hexagonal"
+ */
+export function describeConfig(key) {
+	const [board, topology = "square"] = key.split(" ");
+	const [size, mines] = board.split("/");
+	return { size, mines, topology: TOPOLOGIES[topology] || topology };
+}
+
+/**
+ * Aggregate game records.
+ * Best times only count solo games, since the AI uncovers cells too.
+ * @param {object[]} records - Game records, oldest first
+ * @returns {{played, won, winRate, bestTimes, currentStreak, bestStreak}}
+ *   bestTimes maps configKey → fastest winning time in milliseconds,
+ *   streaks count consecutive wins.
+ */
+export function summarize(records) {
+	const summary = {
+		played: records.length,
+		won: 0,
+		winRate: 0,
+		bestTimes: {},
+		currentStreak: 0,
+		bestStreak: 0,
+	};
+
+	records.forEach(record => {
+		if (record.result !== "win") {
+			summary.currentStreak = 0;
+			return;
+		}
+		summary.won++;
+		summary.currentStreak++;
+		summary.bestStreak = Math.max(summary.bestStreak, summary.currentStreak);
+
+		if (!record.aiMode) {
+			const key = configKey(record.width, record.height, record.mines, record.topology);
+			if (!(key in summary.bestTimes) || record.time < summary.bestTimes[key]) {
+				summary.bestTimes[key] = record.time;
+			}
+		}
+	});
+
+	if (summary.played > 0) summary.winRate = summary.won / summary.played;
+	return summary;
+}
+
+// Format milliseconds as seconds with one decimal, e.g. "12.3s"
+export function formatTime(ms) {
+	return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Draw the statistics panel.
+ * @param {HTMLElement} container - Element to fill
+ */
+export function renderStats(container) {
+	const summary = summarize(loadRecords());
+	container.innerHTML = "";
+
+	const lines = [
+		`Played: ${summary.played}`,
+		`Won: ${summary.won} (${Math.round(summary.winRate * 100)}%)`,
+		`Streak: ${summary.currentStreak} (best ${summary.bestStreak})`,
+	];
+	lines.forEach(text => {
+		const p = document.createElement("p");
+		p.textContent = text;
+		container.appendChild(p);
+	});
+
+	const keys = Object.keys(summary.bestTimes);
+	if (keys.length === 0) return;
+
+	// Best time for each board configuration
+	const table = document.createElement("table");
+	const header = table.insertRow();
+	["Board", "Mines", "Best"].forEach(text => {
+		const th = document.createElement("th");
+		th.textContent = text;
+		header.appendChild(th);
+	});
+	keys.sort().forEach(key => {
+		const { size, mines, topology } = describeConfig(key);
+		const board = key.includes(" ") ? `${size} ${topology}` : size;
+		const row = table.insertRow();
+		[board, mines, formatTime(summary.bestTimes[key])].forEach(text => {
+			row.insertCell().textContent = text;
+		});
+	});
+	container.appendChild(table);
+}
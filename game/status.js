@@ -0,0 +1,129 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: status.js
+ * Description: Status and notification messages shared by the game and the AI:
+ *   a banner for the state of the game and short-lived toasts for everything else.
+ * Inputs/Outputs:
+ *   - Inputs: messages from game.js, ai.js and the other modules
+ *   - Outputs: text of #status-indicator, toasts in #toast-container
+ * External Sources: None (custom implementation)
+ *
+ * Banner states (class on #status-indicator, colors in styles.css):
+ *   ""        → neutral (or empty)
+ *   "playing" → game in progress, whose turn it is, ...
+ *   "won" / "lost"
+ * The banner stays until the next banner message replaces it.
+ *
+ * Toast severities: "info", "success", "warning", "error".
+ * At most MAX_TOASTS are shown at once; the rest wait in a queue and appear
+ * as the shown ones time out or are closed. Sending a message that is already
+ * shown (or waiting) restarts its timer instead of showing it twice.
+ *
+ * DOM element requirements:
+ *  - #status-indicator banner (role="status")
+ *  - #toast-container
+ */
+
+export const SEVERITIES = ["info", "success", "warning", "error"];
+
+const MAX_TOASTS = 3;
+// Milliseconds a toast stays up, by severity (errors give more time to read them)
+const DURATIONS = { info: 4000, success: 4000, warning: 6000, error: 8000 };
+
+// STATUS CENTER CLASS 📢 ——————————————————————————————————————————————————————————————————————————
+export class StatusCenter {
+	constructor() {
+		this.shown = []; // [{ message, severity, element, timer }] toasts on screen, oldest first
+		this.queue = []; // [{ message, severity, duration }] toasts waiting for a free spot
+	}
+
+	/**
+	 * Set the game state banner.
+	 * @param {string} message - Text to show (empty string clears it)
+	 * @param {string} state - "", "playing", "won" or "lost"
+	 */
+	show(message, state = "") {
+		const banner = document.getElementById("status-indicator");
+		banner.textContent = message;
+		banner.className = `status-indicator ${state}`;
+	}
+
+	/**
+	 * Add a sentence to the banner.
+	 * @param {string} message - Text to append
+	 */
+	append(message) {
+		document.getElementById("status-indicator").textContent += ` ${message}`;
+	}
+
+	/**
+	 * Show a toast for a message that doesn't change the state of the game.
+	 * @param {string} message - Text to show
+	 * @param {string} severity - One of SEVERITIES
+	 * @param {number} duration - Milliseconds to keep it up (defaults by severity)
+	 */
+	notify(message, severity = "info", duration = DURATIONS[severity]) {
+		if (!SEVERITIES.includes(severity)) severity = "info";
+		const same = toast => toast.message === message && toast.severity === severity;
+
+		const shown = this.shown.find(same);
+		if (shown) {
+			this.startTimer(shown, duration);
+			return;
+		}
+		if (this.queue.some(same)) return;
+
+		this.queue.push({ message, severity, duration });
+		this.showNext();
+	}
+
+	/**
+	 * Close every toast and drop the waiting ones (the banner is kept).
+	 */
+	clearToasts() {
+		this.queue = [];
+		this.shown.slice().forEach(toast => this.dismiss(toast));
+	}
+
+	// Move waiting toasts on screen while there is room
+	showNext() {
+		const container = document.getElementById("toast-container");
+		while (this.shown.length < MAX_TOASTS && this.queue.length > 0) {
+			const { message, severity, duration } = this.queue.shift();
+			const element = document.createElement("div");
+			element.className = `toast ${severity}`;
+			// Errors interrupt the screen reader, the rest waits its turn
+			element.setAttribute("role", severity === "error" ? "alert" : "status");
+
+			const text = document.createElement("span");
+			text.textContent = message;
+			const close = document.createElement("button");
+			close.className = "toast-close";
+			close.textContent = "✕";
+			close.setAttribute("aria-label", "Dismiss message");
+			element.append(text, close);
+
+			const toast = { message, severity, element, timer: undefined };
+			close.addEventListener("click", () => this.dismiss(toast));
+			container.appendChild(element);
+			this.shown.push(toast);
+			this.startTimer(toast, duration);
+		}
+	}
+
+	startTimer(toast, duration) {
+		clearTimeout(toast.timer);
+		toast.timer = setTimeout(() => this.dismiss(toast), duration);
+	}
+
+	dismiss(toast) {
+		clearTimeout(toast.timer);
+		toast.element.remove();
+		this.shown = this.shown.filter(other => other !== toast);
+		this.showNext();
+	}
+}
+
+// One status center for the whole page
+export const statusCenter = new StatusCenter();
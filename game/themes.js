@@ -0,0 +1,88 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: themes.js
+ * Description: Visual themes: board colors, number palette, cell icons and AI highlight.
+ * Inputs/Outputs:
+ *   - Inputs: theme select in the settings panel
+ *   - Outputs: data-theme attribute on <html>, icons for the Renderer,
+ *     chosen theme persisted in localStorage
+ * External Sources: None (custom implementation)
+ *
+ * Colors live in styles.css as CSS variables under [data-theme="..."]
+ * (--cell-covered, --number-1 ... --number-8, --ai-highlight, ...); this file
+ * only holds what CSS can't change, the text of the cells.
+ *
+ * Storage format ("minesweeper-theme"): key of THEMES as a plain string
+ *
+ * DOM element requirements:
+ *  - #theme select
+ */
+
+const STORAGE_KEY = "minesweeper-theme";
+
+export const THEMES = {
+	classic: {
+		label: "Classic",
+		icons: { covered: "⬛", flag: "🚩", mine: "💣" },
+	},
+	dark: {
+		label: "Dark",
+		icons: { covered: "", flag: "🚩", mine: "💣" },
+	},
+	contrast: {
+		label: "High contrast (colorblind-safe)",
+		// Plain text symbols take the theme's colors, unlike emoji
+		icons: { covered: "", flag: "⚑", mine: "✹" },
+	},
+	rainbow: {
+		label: "Rainbow",
+		icons: { covered: "", flag: "🏳️‍🌈", mine: "💥" },
+	},
+};
+
+function loadTheme() {
+	try {
+		const theme = localStorage.getItem(STORAGE_KEY);
+		return Object.hasOwn(THEMES, theme) ? theme : "classic";
+	} catch (e) {
+		return "classic";
+	}
+}
+
+/**
+ * Switch the page to a theme and remember it.
+ * @param {string} theme - Key of THEMES
+ */
+export function applyTheme(theme) {
+	document.documentElement.dataset.theme = theme;
+	try {
+		localStorage.setItem(STORAGE_KEY, theme);
+	} catch (e) {
+		// Storage full or unavailable, the theme just resets next time
+	}
+}
+
+/**
+ * Fill the theme select, apply the saved theme and follow the select.
+ * @param {function} onChange - Called with the key of the new theme
+ * @returns {string} Key of the theme in use
+ */
+export function setupThemes(onChange) {
+	const select = document.getElementById("theme");
+	Object.entries(THEMES).forEach(([key, theme]) => {
+		const option = document.createElement("option");
+		option.value = key;
+		option.textContent = theme.label;
+		select.appendChild(option);
+	});
+
+	const theme = loadTheme();
+	select.value = theme;
+	applyTheme(theme);
+	select.addEventListener("change", () => {
+		applyTheme(select.value);
+		onChange(select.value);
+	});
+	return theme;
+}
@@ -0,0 +1,70 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: topology.js
+ * Description: Board shapes and which cells count as neighbors in each.
+ * Inputs/Outputs:
+ *   - Inputs: topology name, board size, a cell
+ *   - Outputs: the cell's neighbors
+ * External Sources: None (custom implementation)
+ *
+ * Topologies:
+ *   square → classic board, up to 8 neighbors
+ *   torus  → like square, but the edges wrap around (left ↔ right, top ↔ bottom),
+ *            so every cell has 8 neighbors
+ *   hex    → hexagonal cells, up to 6 neighbors. Rows are stored like the square
+ *            grid and every odd row is drawn shifted half a cell to the right
+ *            ("odd-r" offset layout).
+ */
+
+export const TOPOLOGIES = {
+	square: "Classic",
+	torus: "Wrap-around",
+	hex: "Hexagonal",
+};
+
+// Neighbor offsets [dx, dy] of a hex cell, depending on whether its row is shifted
+const HEX_EVEN_ROW = [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
+const HEX_ODD_ROW = [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]];
+
+/**
+ * List the neighbors of a cell.
+ * @param {string} topology - Key of TOPOLOGIES
+ * @param {number} w - Board width
+ * @param {number} h - Board height
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number[][]} Array of [x, y] pairs, each cell at most once
+ */
+export function neighborsOf(topology, w, h, x, y) {
+	const result = [];
+	if (topology === "hex") {
+		(y % 2 === 0 ? HEX_EVEN_ROW : HEX_ODD_ROW).forEach(([dx, dy]) => {
+			const nx = x + dx;
+			const ny = y + dy;
+			if (nx >= 0 && ny >= 0 && nx < w && ny < h) result.push([nx, ny]);
+		});
+		return result;
+	}
+
+	const seen = new Set();
+	for (let dy = -1; dy <= 1; dy++) {
+		for (let dx = -1; dx <= 1; dx++) {
+			if (dx === 0 && dy === 0) continue;
+			let nx = x + dx;
+			let ny = y + dy;
+			if (topology === "torus") {
+				nx = (nx + w) % w;
+				ny = (ny + h) % h;
+				// On tiny boards two offsets can wrap onto the same cell (or the cell itself)
+				const key = ny * w + nx;
+				if ((nx === x && ny === y) || seen.has(key)) continue;
+				seen.add(key);
+			} else if (nx < 0 || ny < 0 || nx >= w || ny >= h) {
+				continue;
+			}
+			result.push([nx, ny]);
+		}
+	}
+	return result;
+}
@@ -0,0 +1,170 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: touch.js
+ * Description: Pinch-zoom and drag-to-pan for the game board.
+ * Inputs/Outputs:
+ *   - Inputs: pointer events (touch, pen, mouse) and ctrl+wheel (trackpad pinch) on the board
+ *   - Outputs: CSS transform of the grid inside its clipping viewport
+ * External Sources: None (custom implementation)
+ *
+ * Class ZoomPan
+ *
+ * The grid sits in a viewport that clips it. Two fingers zoom around their
+ * midpoint, one finger (or the mouse) drags the board once it is larger than
+ * the viewport. A drag never counts as a click on the cell it started on.
+ *
+ * DOM element requirements:
+ *  - #grid-viewport wrapping #minesweeper-grid
+ */
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DRAG_THRESHOLD = 10; // px before a press becomes a drag
+const WHEEL_ZOOM = 0.01; // scale change per wheel delta unit
+
+// ZOOM PAN CLASS 🔍 ——————————————————————————————————————————————————————————————————————————————
+export class ZoomPan {
+	/**
+	 * @param {HTMLElement} viewport - Clipping element around the board
+	 * @param {HTMLElement} content - The board itself
+	 */
+	constructor(viewport, content) {
+		this.viewport = viewport;
+		this.content = content;
+		this.scale = 1;
+		this.x = 0; // translation in px
+		this.y = 0;
+		this.pointers = new Map(); // pointerId → { x, y } of every finger down
+		this.drag = null; // { x, y, startX, startY } while one pointer is down
+		this.pinch = null; // { distance, midX, midY, scale, startX, startY } while two are
+		this.moved = false; // the current gesture dragged or pinched
+
+		viewport.addEventListener("pointerdown", (e) => this.pointerDown(e));
+		viewport.addEventListener("pointermove", (e) => this.pointerMove(e));
+		// Released anywhere, the mouse may have left the board by then
+		window.addEventListener("pointerup", (e) => this.pointerUp(e));
+		window.addEventListener("pointercancel", (e) => this.pointerUp(e));
+
+		// Capture phase: runs before the cell's own click listener
+		viewport.addEventListener("click", (e) => {
+			if (!this.moved) return;
+			this.moved = false;
+			e.stopPropagation();
+			e.preventDefault();
+		}, true);
+
+		// Trackpad pinch arrives as ctrl+wheel
+		viewport.addEventListener("wheel", (e) => {
+			if (!e.ctrlKey) return;
+			e.preventDefault();
+			this.zoomAt(this.scale * (1 - e.deltaY * WHEEL_ZOOM), e.clientX, e.clientY);
+		}, { passive: false });
+
+		window.addEventListener("resize", () => this.apply());
+	}
+
+	/**
+	 * Back to the unzoomed board (e.g. for a new game).
+	 */
+	reset() {
+		this.scale = 1;
+		this.x = 0;
+		this.y = 0;
+		this.apply();
+	}
+
+	pointerDown(e) {
+		if (e.pointerType === "mouse" && e.button !== 0) return;
+		this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		if (this.pointers.size === 1) {
+			this.moved = false;
+			this.startDrag();
+		} else if (this.pointers.size === 2) {
+			this.moved = true; // a second finger is never a tap
+			this.startPinch();
+		}
+	}
+
+	pointerMove(e) {
+		const pointer = this.pointers.get(e.pointerId);
+		if (!pointer) return;
+		pointer.x = e.clientX;
+		pointer.y = e.clientY;
+
+		if (this.pinch) {
+			const [a, b] = [...this.pointers.values()];
+			const distance = Math.hypot(a.x - b.x, a.y - b.y);
+			const scale = this.clampScale(this.pinch.scale * distance / this.pinch.distance);
+			// Keep the point that was under the fingers' midpoint under it
+			const rect = this.viewport.getBoundingClientRect();
+			const contentX = (this.pinch.midX - rect.left - this.pinch.startX) / this.pinch.scale;
+			const contentY = (this.pinch.midY - rect.top - this.pinch.startY) / this.pinch.scale;
+			this.scale = scale;
+			this.x = (a.x + b.x) / 2 - rect.left - contentX * scale;
+			this.y = (a.y + b.y) / 2 - rect.top - contentY * scale;
+			this.apply();
+		} else if (this.drag) {
+			const dx = pointer.x - this.drag.x;
+			const dy = pointer.y - this.drag.y;
+			if (!this.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+			this.moved = true;
+			this.x = this.drag.startX + dx;
+			this.y = this.drag.startY + dy;
+			this.apply();
+		}
+	}
+
+	pointerUp(e) {
+		if (!this.pointers.delete(e.pointerId)) return;
+		this.pinch = null;
+		this.drag = null;
+		// One finger left after a pinch keeps panning from where it is
+		if (this.pointers.size === 1) this.startDrag();
+	}
+
+	startDrag() {
+		const [pointer] = this.pointers.values();
+		this.drag = { x: pointer.x, y: pointer.y, startX: this.x, startY: this.y };
+	}
+
+	startPinch() {
+		const [a, b] = [...this.pointers.values()];
+		this.drag = null;
+		this.pinch = {
+			distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+			midX: (a.x + b.x) / 2,
+			midY: (a.y + b.y) / 2,
+			scale: this.scale,
+			startX: this.x,
+			startY: this.y,
+		};
+	}
+
+	/**
+	 * Zoom to a scale, keeping the board point under (clientX, clientY) in place.
+	 */
+	zoomAt(scale, clientX, clientY) {
+		const rect = this.viewport.getBoundingClientRect();
+		const newScale = this.clampScale(scale);
+		const contentX = (clientX - rect.left - this.x) / this.scale;
+		const contentY = (clientY - rect.top - this.y) / this.scale;
+		this.scale = newScale;
+		this.x = clientX - rect.left - contentX * newScale;
+		this.y = clientY - rect.top - contentY * newScale;
+		this.apply();
+	}
+
+	clampScale(scale) {
+		return Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+	}
+
+	// Keep the board covering the viewport, then move it there
+	apply() {
+		const width = this.content.offsetWidth * this.scale;
+		const height = this.content.offsetHeight * this.scale;
+		this.x = Math.min(0, Math.max(this.viewport.clientWidth - width, this.x));
+		this.y = Math.min(0, Math.max(this.viewport.clientHeight - height, this.y));
+		this.content.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+	}
+}
@@ -0,0 +1,265 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: versus.js
+ * Description: Scores and best-of-N series for Player vs AI games
+ *   (and for AI vs AI and hot-seat games, which play the same two sides).
+ * Inputs/Outputs:
+ *   - Inputs: cells uncovered by each side, bombs hit, game results,
+ *     mine rule and series length selects
+ *   - Outputs: scoreboard display, winner of each game and of the series
+ * External Sources: None (custom implementation)
+ *
+ * Scoring:
+ *   - Every safe cell a side uncovers (flood fills included) is worth 1 point.
+ *   - Mine rule "lose": the side that hits a mine loses the game.
+ *   - Mine rule "penalty": hitting a mine costs MINE_PENALTY points and play
+ *     goes on; once the board is cleared the higher score wins.
+ *   - Mine rule "pass": hitting a mine costs nothing but the turn, play goes on.
+ *   - Clearing the board under the "lose" rule is also decided on points.
+ *
+ * DOM element requirements:
+ *  - #scoreboard container (hidden outside AI games)
+ *  - #mine-rule and #series-length selects
+ */
+
+export const MINE_PENALTY = 10;
+
+export const MINE_RULES = {
+	lose: "Hitting a mine loses",
+	penalty: `Hitting a mine costs ${MINE_PENALTY} points`,
+	pass: "Hitting a mine ends the turn",
+};
+
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+const SIDES = { player: "Player", ai: "AI" };
+
+/**
+ * Count the uncovered cells of a board.
+ * @param {Map} map - Board to count
+ * @returns {{safe: number, bombs: number}} uncovered safe cells and uncovered bombs
+ */
+export function countUncovered(map) {
+	let safe = 0;
+	let bombs = 0;
+	map.grid.forEach(row => row.forEach(cell => {
+		if (cell[3] !== 0) return;
+		if (cell[1] === 1) bombs++;
+		else safe++;
+	}));
+	return { safe, bombs };
+}
+
+/**
+ * Points a move is worth.
+ * @param {object} before - countUncovered before the move
+ * @param {object} after - countUncovered after the move
+ * @param {string} mineRule - Key of MINE_RULES
+ * @returns {number}
+ */
+export function movePoints(before, after, mineRule) {
+	let points = after.safe - before.safe;
+	if (after.bombs > before.bombs && mineRule === "penalty") points -= MINE_PENALTY;
+	return points;
+}
+
+/**
+ * Score every move of a game again (e.g. after an undo).
+ * @param {MoveHistory} history - Moves of the game
+ * @param {string} mineRule - Key of MINE_RULES
+ * @returns {{player: number, ai: number}}
+ */
+export function scoreHistory(history, mineRule) {
+	const scores = { player: 0, ai: 0 };
+	let before = { safe: 0, bombs: 0 };
+	history.moves.forEach((move, i) => {
+		const after = countUncovered(history.replay(i + 1));
+		scores[move.by] += movePoints(before, after, mineRule);
+		before = after;
+	});
+	return scores;
+}
+
+// VERSUS MATCH CLASS 🆚 ——————————————————————————————————————————————————————————————————————————
+export class VersusMatch {
+	constructor() {
+		this.scores = { player: 0, ai: 0 }; // points in the current game
+		this.wins = { player: 0, ai: 0 }; // games won in the current series
+		this.mineRule = "lose";
+		this.bestOf = 1;
+		this.active = false; // true while a scored game is being played
+		this.lastWinner = null; // winner of the last finished game, until the next one starts
+		this.names = null; // { player, ai } of two AIs (spectator.js) or two hot-seat players (hotseat.js)
+
+		const ruleSelect = document.getElementById("mine-rule");
+		Object.entries(MINE_RULES).forEach(([rule, label]) => {
+			const option = document.createElement("option");
+			option.value = rule;
+			option.textContent = label;
+			ruleSelect.appendChild(option);
+		});
+		const lengthSelect = document.getElementById("series-length");
+		SERIES_LENGTHS.forEach(length => {
+			const option = document.createElement("option");
+			option.value = length;
+			option.textContent = length === 1 ? "Single game" : `Best of ${length}`;
+			lengthSelect.appendChild(option);
+		});
+
+		// Changing the rules starts a new series from the next game
+		ruleSelect.addEventListener("change", () => {
+			this.mineRule = ruleSelect.value;
+			this.wins = { player: 0, ai: 0 };
+			this.render();
+		});
+		lengthSelect.addEventListener("change", () => {
+			this.bestOf = Number(lengthSelect.value);
+			this.wins = { player: 0, ai: 0 };
+			this.render();
+		});
+	}
+
+	/**
+	 * Reset the scores for a new game. A finished series starts over.
+	 * @param {boolean} active - true if the game is scored (against the AI, AI vs AI or hot-seat)
+	 * @param {object} names - { player, ai } names of two AIs or of two hot-seat
+	 *   players, null when the human plays against the AI
+	 */
+	startGame(active, names = null) {
+		this.active = active;
+		this.names = names;
+		this.scores = { player: 0, ai: 0 };
+		this.lastWinner = null;
+		if (this.seriesWinner()) this.wins = { player: 0, ai: 0 };
+		this.render();
+	}
+
+	/**
+	 * Add points to a side.
+	 * @param {string} side - "player" or "ai"
+	 */
+	score(side, points) {
+		this.scores[side] += points;
+		this.render();
+	}
+
+	/**
+	 * Decide who won a finished game and count it for the series.
+	 * @param {string} result - "lose" if a mine ended the game, "win" if the board was cleared
+	 * @param {string} mover - Side that made the last move
+	 * @returns {string|null} "player", "ai", or null for a draw
+	 */
+	finishGame(result, mover) {
+		let winner = null;
+		if (result === "lose") {
+			winner = mover === "ai" ? "player" : "ai";
+		} else if (this.scores.player !== this.scores.ai) {
+			winner = this.scores.player > this.scores.ai ? "player" : "ai";
+		}
+		if (winner) this.wins[winner]++;
+		this.lastWinner = winner;
+		this.render();
+		return winner;
+	}
+
+	/**
+	 * Take back the result of the last game (its final move was undone).
+	 * @param {object} scores - Scores of the game without that move
+	 */
+	reopenGame(scores) {
+		if (this.lastWinner) this.wins[this.lastWinner]--;
+		this.lastWinner = null;
+		this.scores = scores;
+		this.render();
+	}
+
+	/**
+	 * @returns {string|null} Side that has won the majority of the series, if any
+	 */
+	seriesWinner() {
+		const needed = Math.floor(this.bestOf / 2) + 1;
+		return Object.keys(this.wins).find(side => this.wins[side] >= needed) || null;
+	}
+
+	/**
+	 * Describe a finished game, e.g. "🤖 The AI hit a mine, you win! Player 12 – AI 8."
+	 * @returns {string}
+	 */
+	resultMessage(result, mover, winner) {
+		const names = this.names || SIDES;
+		let message;
+		if (this.names) {
+			// Two AIs or two players at one screen: nobody to call "you"
+			if (result === "lose") {
+				message = `💥 ${names[mover]} hit a mine, ${names[winner]} wins!`;
+			} else {
+				message = winner ? `🏆 Board cleared, ${names[winner]} wins on points!` : "🤝 Board cleared, it's a draw!";
+			}
+		} else if (result === "lose") {
+			message = mover === "ai" ? "🤖 The AI hit a mine, you win!" : "💥 You hit a mine, the AI wins!";
+		} else if (winner === "player") {
+			message = "😎 Board cleared, you win on points!";
+		} else if (winner === "ai") {
+			message = "🤖 Board cleared, the AI wins on points!";
+		} else {
+			message = "🤝 Board cleared, it's a draw!";
+		}
+		message += ` ${names.player} ${this.scores.player} – ${names.ai} ${this.scores.ai}.`;
+
+		const seriesWinner = this.bestOf > 1 && this.seriesWinner();
+		if (seriesWinner) {
+			let who = seriesWinner === "player" ? "You win" : "The AI wins";
+			if (this.names) who = `${names[seriesWinner]} wins`;
+			message += ` ${who} the series ${this.wins[seriesWinner]}–${this.wins[seriesWinner === "player" ? "ai" : "player"]}!`;
+		}
+		return message;
+	}
+
+	/**
+	 * State to keep in saves.
+	 * @returns {object} { scores, wins, mineRule, bestOf }
+	 */
+	getState() {
+		return { scores: { ...this.scores }, wins: { ...this.wins }, mineRule: this.mineRule, bestOf: this.bestOf };
+	}
+
+	/**
+	 * Continue a saved match.
+	 * @param {object} state - From getState
+	 */
+	restore(state) {
+		// A hand-edited save may have anything here, unusable counts start at 0
+		const sides = counts => {
+			const valid = side => counts && Number.isInteger(counts[side]);
+			return { player: valid("player") ? counts.player : 0, ai: valid("ai") ? counts.ai : 0 };
+		};
+		this.scores = sides(state.scores);
+		this.wins = sides(state.wins);
+		this.mineRule = Object.hasOwn(MINE_RULES, state.mineRule) ? state.mineRule : "lose";
+		this.bestOf = SERIES_LENGTHS.includes(state.bestOf) ? state.bestOf : 1;
+		document.getElementById("mine-rule").value = this.mineRule;
+		document.getElementById("series-length").value = this.bestOf;
+		this.render();
+	}
+
+	// Draw the scoreboard, hidden outside scored games. Each side is marked
+	// with data-owner, so it gets the color of its cells (see styles.css)
+	render() {
+		const board = document.getElementById("scoreboard");
+		board.hidden = !this.active;
+		const names = this.names || SIDES;
+		const parts = [];
+		Object.keys(SIDES).forEach((side, i) => {
+			if (i > 0) parts.push(" : ");
+			const score = document.createElement("span");
+			score.dataset.owner = side;
+			score.textContent = `${names[side]} ${this.scores[side]}`;
+			parts.push(score);
+		});
+		if (this.bestOf > 1) {
+			parts.push(` · Series ${this.wins.player}–${this.wins.ai} (best of ${this.bestOf})`);
+		}
+		board.replaceChildren(...parts);
+	}
+}
@@ -0,0 +1,224 @@
+/**
+ * Author: Reem Fatima, Pashia Vang, Alejandro Sandoval, Liam Aga, Jorge Trujillo, Aiden Barnard
+ * Creation Date: 2026-10-19
+ * File: websocket.js
+ * Description: Minimal WebSocket server side (RFC 6455) on top of Node's http module (Node only).
+ * Inputs/Outputs:
+ *   - Inputs: HTTP upgrade requests and the raw bytes of the connection
+ *   - Outputs: "message" events with the text of each message, framed replies
+ * External Sources: RFC 6455 (The WebSocket Protocol) for the handshake and
+ *   frame layout, node:crypto for the handshake hash, Emitter from ./emitter.js
+ *
+ * Supported: text messages (also fragmented), ping/pong and the closing
+ * handshake. Binary messages and extensions (e.g. compression) are not used
+ * by the game and close the connection.
+ *
+ * Events (see Emitter):
+ *   "message" (text) → a complete text message arrived
+ *   "close"          → the connection is gone (after a close frame or a drop)
+ */
+
+import { createHash } from "node:crypto";
+import { Emitter } from "./emitter.js";
+
+// Fixed GUID every server appends to the client's key (RFC 6455, section 1.3)
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 64 * 1024; // bytes, the game's messages are far smaller
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+// Close codes used here
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_UNSUPPORTED = 1003;
+const CLOSE_TOO_BIG = 1009;
+
+/**
+ * Answer an HTTP upgrade request ("upgrade" event of http.Server).
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - Its connection
+ * @param {Buffer} head - Bytes that arrived right after the request (already frames)
+ * @returns {WebSocket|null} The open WebSocket, or null if the request was refused
+ */
+export function acceptUpgrade(request, socket, head = Buffer.alloc(0)) {
+	const key = request.headers["sec-websocket-key"];
+	const isWebSocket = String(request.headers.upgrade).toLowerCase() === "websocket";
+	if (!isWebSocket || !key || request.headers["sec-websocket-version"] !== "13") {
+		socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+		return null;
+	}
+	const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+	socket.write([
+		"HTTP/1.1 101 Switching Protocols",
+		"Upgrade: websocket",
+		"Connection: Upgrade",
+		`Sec-WebSocket-Accept: ${accept}`,
+		"\r\n",
+	].join("\r\n"));
+	return new WebSocket(socket, head);
+}
+
+// WEBSOCKET CLASS 🔌 ——————————————————————————————————————————————————————————————————————————————
+export class WebSocket extends Emitter {
+	/**
+	 * @param {net.Socket} socket - Connection that finished the handshake
+	 * @param {Buffer} head - Bytes the client sent right after the handshake
+	 */
+	constructor(socket, head = Buffer.alloc(0)) {
+		super();
+		this.socket = socket;
+		this.buffer = Buffer.from(head); // bytes not parsed into a frame yet
+		this.fragments = []; // payloads of a fragmented message so far
+		this.closing = false; // true once a close frame was sent
+		this.alive = true; // cleared before each ping, set again by the pong
+
+		socket.setNoDelay(true);
+		socket.on("data", data => {
+			this.buffer = Buffer.concat([this.buffer, data]);
+			this.readFrames();
+		});
+		socket.on("close", () => this.emit("close"));
+		socket.on("error", () => socket.destroy()); // "close" follows
+		// Frames that came with the handshake are read once the listeners are in place
+		if (this.buffer.length > 0) setImmediate(() => this.readFrames());
+	}
+
+	// Handle every complete frame in the buffer
+	readFrames() {
+		while (this.buffer.length >= 2 && !this.closing && !this.socket.destroyed) {
+			const first = this.buffer[0];
+			const second = this.buffer[1];
+			const fin = (first & 0x80) !== 0;
+			const opcode = first & 0x0f;
+			const masked = (second & 0x80) !== 0;
+			let length = second & 0x7f;
+			let offset = 2;
+
+			// No extensions were agreed on, so the reserved bits must be 0,
+			// and clients must mask everything they send
+			if ((first & 0x70) !== 0 || !masked) {
+				this.close(CLOSE_PROTOCOL_ERROR);
+				return;
+			}
+			if (length === 126) {
+				if (this.buffer.length < 4) return;
+				length = this.buffer.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (this.buffer.length < 10) return;
+				const long = this.buffer.readBigUInt64BE(2);
+				length = long > BigInt(MAX_MESSAGE) ? Infinity : Number(long);
+				offset = 10;
+			}
+			if (length > MAX_MESSAGE) {
+				this.close(CLOSE_TOO_BIG);
+				return;
+			}
+			if (this.buffer.length < offset + 4 + length) return; // rest still on its way
+
+			const mask = this.buffer.subarray(offset, offset + 4);
+			const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+			for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+			this.buffer = this.buffer.subarray(offset + 4 + length);
+			this.handleFrame(fin, opcode, payload);
+		}
+	}
+
+	handleFrame(fin, opcode, payload) {
+		// Control frames can't be fragmented and carry at most 125 bytes
+		if (opcode >= OPCODES.close && (!fin || payload.length > 125)) {
+			this.close(CLOSE_PROTOCOL_ERROR);
+			return;
+		}
+		switch (opcode) {
+			case OPCODES.close:
+				// Answer, then hang up
+				this.close(CLOSE_NORMAL);
+				return;
+			case OPCODES.ping:
+				this.sendFrame(OPCODES.pong, payload);
+				return;
+			case OPCODES.pong:
+				this.alive = true;
+				return;
+			case OPCODES.text:
+			case OPCODES.continuation: {
+				// A new message can't start in the middle of another, and a
+				// continuation needs a message to continue
+				if ((opcode === OPCODES.text) === (this.fragments.length > 0)) {
+					this.close(CLOSE_PROTOCOL_ERROR);
+					return;
+				}
+				this.fragments.push(payload);
+				const size = this.fragments.reduce((total, part) => total + part.length, 0);
+				if (size > MAX_MESSAGE) {
+					this.close(CLOSE_TOO_BIG);
+					return;
+				}
+				if (fin) {
+					const text = Buffer.concat(this.fragments).toString("utf8");
+					this.fragments = [];
+					this.emit("message", text);
+				}
+				return;
+			}
+			default:
+				this.close(CLOSE_UNSUPPORTED); // binary and unknown opcodes
+		}
+	}
+
+	/**
+	 * Send a text message.
+	 * @param {string} text - Message text
+	 */
+	send(text) {
+		this.sendFrame(OPCODES.text, Buffer.from(text, "utf8"));
+	}
+
+	/**
+	 * Ask the client for a pong (see alive).
+	 */
+	ping() {
+		this.alive = false;
+		this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+	}
+
+	/**
+	 * Start (or answer) the closing handshake and end the connection.
+	 * @param {number} code - Close code (1000 = normal)
+	 */
+	close(code = CLOSE_NORMAL) {
+		if (this.closing) return;
+		const payload = Buffer.alloc(2);
+		payload.writeUInt16BE(code);
+		this.sendFrame(OPCODES.close, payload);
+		this.closing = true;
+		this.socket.end();
+	}
+
+	// Server frames are never masked and never fragmented
+	sendFrame(opcode, payload) {
+		if (this.closing || this.socket.destroyed) return;
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		} else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[0] = 0x80 | opcode;
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[0] = 0x80 | opcode;
+			header[1] = 127;
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this.socket.write(Buffer.concat([header, payload]));
+	}
+
+	/**
+	 * Drop the connection without a closing handshake (e.g. no pong came back).
+	 */
+	destroy() {
+		this.socket.destroy();
+	}
+}